@@ -0,0 +1,159 @@
+/*
+ * Activity page logic for Task Rover
+ *
+ * Lists every recorded change to the tasks of one board (see history.js),
+ * newest first and grouped by day: who created, edited, moved or deleted
+ * which task, and the fields that changed. The board is picked from the
+ * board filter. The page also provides a back button to return to the board
+ * and supports theme toggling. If the user is not logged in the page
+ * redirects to the sign‑in page.
+ */
+
+(() => {
+  // Theme utilities
+  const themeToggleBtn = document.getElementById("themeToggle");
+  const wrapper = document.getElementById("appWrapper");
+  function applyTheme(mode) {
+    if (mode === "dark") {
+      wrapper.classList.add("dark");
+      themeToggleBtn.textContent = "☀️";
+      themeToggleBtn.setAttribute("aria-label", "Switch to light mode");
+    } else {
+      wrapper.classList.remove("dark");
+      themeToggleBtn.textContent = "🌙";
+      themeToggleBtn.setAttribute("aria-label", "Switch to dark mode");
+    }
+    localStorage.setItem("taskRoverTheme", mode);
+  }
+  function initTheme() {
+    let theme = localStorage.getItem("taskRoverTheme");
+    if (!theme) {
+      const prefersDark = window.matchMedia && window.matchMedia("(prefers-color-scheme: dark)").matches;
+      theme = prefersDark ? "dark" : "light";
+    }
+    applyTheme(theme);
+  }
+  function toggleTheme() {
+    const isDark = wrapper.classList.contains("dark");
+    applyTheme(isDark ? "light" : "dark");
+  }
+  themeToggleBtn.addEventListener("click", toggleTheme);
+  initTheme();
+
+  // Redirect to sign‑in if not logged in
+  if (!window.TaskRover.auth.requireSession()) return;
+  // Back button
+  const backBtn = document.getElementById("backBtn");
+  backBtn.addEventListener("click", () => {
+    window.location.href = "board.html";
+  });
+  const storage = window.TaskRover.storage;
+  const boardStore = window.TaskRover.boards;
+  const columnStore = window.TaskRover.columns;
+  const labelStore = window.TaskRover.labels;
+  const historyStore = window.TaskRover.history;
+  let boards = [];
+  // Report storage problems at the top of the page
+  const storageMessage = document.getElementById("storageMessage");
+  storage.onError((problem) => {
+    storageMessage.textContent = problem.message;
+    storageMessage.classList.remove("hidden");
+  });
+  const feed = document.getElementById("activityFeed");
+  const boardFilter = document.getElementById("boardFilter");
+  boardFilter.addEventListener("change", renderFeed);
+  function renderBoardFilter() {
+    boards.forEach((board) => {
+      const option = document.createElement("option");
+      option.value = board.id;
+      option.textContent = board.archived ? `${board.name} (archived)` : board.name;
+      boardFilter.appendChild(option);
+    });
+    boardFilter.value = boardStore.getActiveBoardId(boards);
+  }
+  /**
+   * Display names for the columns, labels and members of a board
+   * @param {Object} board
+   */
+  function namesFor(board) {
+    const columnLabels = columnStore.labelMap(columnStore.loadColumns(board.id));
+    const labels = labelStore.loadLabels(board.id);
+    return {
+      column: (key) => columnLabels[key] || key,
+      label: (id) => (labels.find((l) => l.id === id) || { name: "deleted label" }).name,
+      member: (email) => boardStore.memberName(board, email),
+    };
+  }
+  /**
+   * One event as a list item: task and what happened, who and when, then
+   * the changed fields
+   */
+  function renderEvent(event, names) {
+    const item = document.createElement("li");
+    item.className = "history-event";
+    const summary = document.createElement("div");
+    summary.className = "history-summary";
+    const title = document.createElement("span");
+    title.className = "activity-task";
+    title.textContent = event.title || "Untitled task";
+    summary.appendChild(title);
+    summary.appendChild(document.createTextNode(` · ${historyStore.summarize(event, names)}`));
+    const meta = document.createElement("div");
+    meta.className = "history-meta";
+    meta.textContent = `${event.actor ? names.member(event.actor) : "Someone"} · ${new Date(event.at).toLocaleTimeString()}`;
+    item.appendChild(summary);
+    item.appendChild(meta);
+    const lines = historyStore.describe(event, names);
+    if (lines.length > 0) {
+      const changes = document.createElement("ul");
+      changes.className = "history-changes";
+      lines.forEach((line) => {
+        const li = document.createElement("li");
+        li.textContent = line;
+        changes.appendChild(li);
+      });
+      item.appendChild(changes);
+    }
+    return item;
+  }
+  /**
+   * Render the selected board's events, newest first, one section per day
+   */
+  function renderFeed() {
+    const board = boards.find((b) => b.id === boardFilter.value);
+    feed.innerHTML = "";
+    const events = board ? historyStore.load(board.id).slice().reverse() : [];
+    if (events.length === 0) {
+      const empty = document.createElement("p");
+      empty.textContent = "No activity recorded on this board yet.";
+      feed.appendChild(empty);
+      return;
+    }
+    const names = namesFor(board);
+    let list = null;
+    let day = "";
+    events.forEach((event) => {
+      const date = new Date(event.at).toLocaleDateString(undefined, { weekday: "long", month: "long", day: "numeric", year: "numeric" });
+      if (date !== day) {
+        day = date;
+        const section = document.createElement("section");
+        section.className = "stats-section activity-day";
+        const heading = document.createElement("h2");
+        heading.textContent = date;
+        list = document.createElement("ol");
+        list.className = "task-history";
+        section.appendChild(heading);
+        section.appendChild(list);
+        feed.appendChild(section);
+      }
+      list.appendChild(renderEvent(event, names));
+    });
+  }
+  // Load the signed-in user's data once their store is open
+  const email = window.TaskRover.auth.session().email;
+  storage.open(email).then(() => {
+    boards = boardStore.loadBoards(email);
+    renderBoardFilter();
+    renderFeed();
+  });
+})();
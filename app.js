@@ -8,13 +8,15 @@
 
 (() => {
   /**
-   * Application state
+   * Application state. Boards and columns are shared with the board page via
+   * boards.js and columns.js (backed by storage.js); this page always shows
+   * the active board.
    */
-  const statuses = [
-    { key: "todo", label: "To Do" },
-    { key: "doing", label: "In Progress" },
-    { key: "done", label: "Done" },
-  ];
+  const storage = window.TaskRover.storage;
+  const boardStore = window.TaskRover.boards;
+  const columnStore = window.TaskRover.columns;
+  let boardId = null;
+  let statuses = [];
   let tasks = [];
   let currentEditId = null;
   let undoTimer = null;
@@ -42,19 +44,15 @@
    * Initialise the application
    */
   function init() {
-    // Restore tasks from localStorage if available
-    try {
-      const stored = localStorage.getItem("taskRoverTasks");
-      if (stored) {
-        tasks = JSON.parse(stored);
-      }
-    } catch (_) {
-      tasks = [];
-    }
     // Setup theme based on saved preference or system
     initTheme();
-    // Render board initially
-    renderBoard();
+    // Open the store, then restore the active board's columns and tasks
+    storage.open().then(() => {
+      boardId = boardStore.getActiveBoardId(boardStore.loadBoards());
+      statuses = columnStore.loadColumns(boardId);
+      tasks = boardStore.loadTasks(boardId);
+      renderBoard();
+    });
     // Event listeners
     quickAddBtn.addEventListener("click", handleQuickAdd);
     quickAddInput.addEventListener("keypress", (e) => {
@@ -122,7 +120,7 @@
     const value = quickAddInput.value.trim();
     if (!value) return;
     const { title, due, priority } = parseInput(value);
-    addTask({ title, due, priority, status: "todo" });
+    addTask({ title, due, priority, status: statuses[0].key });
     quickAddInput.value = "";
   }
 
@@ -178,14 +176,10 @@
   }
 
   /**
-   * Persist tasks to localStorage
+   * Persist the active board's tasks
    */
   function persistTasks() {
-    try {
-      localStorage.setItem("taskRoverTasks", JSON.stringify(tasks));
-    } catch (_) {
-      // ignore
-    }
+    boardStore.saveTasks(boardId, tasks);
   }
 
   /**
@@ -252,7 +246,7 @@
     const titleEl = document.createElement("p");
     titleEl.className = "task-title";
     titleEl.textContent = task.title;
-    if (task.status === "done") {
+    if (columnStore.isDone(statuses, task.status)) {
       titleEl.classList.add("done");
     }
     // Meta row
@@ -336,11 +330,12 @@
   function moveTask(id, newStatus) {
     const task = tasks.find((t) => t.id === id);
     if (task) {
+      const previousStatus = task.status;
       task.status = newStatus;
       // If moving to done, we can show undo toast
-      if (newStatus === "done") {
+      if (columnStore.isDone(statuses, newStatus)) {
         showToast("Moved to Done.", () => {
-          task.status = "doing";
+          task.status = previousStatus;
           persistTasks();
           renderBoard();
         });
@@ -372,7 +367,7 @@
       taskTitleInput.value = "";
       taskDueInput.value = "";
       taskPriorityInput.value = "";
-      taskStatusInput.value = "todo";
+      taskStatusInput.value = statuses[0].key;
       deleteTaskBtn.style.display = "none";
     }
     overlayEl.classList.add("show");
@@ -0,0 +1,144 @@
+/*
+ * Sign-in session for Task Rover
+ *
+ * Passwordless sign-in against the Task Rover server (server/sync-server.js),
+ * which serves the app and its API from the same origin. The sign-in page
+ * asks the server to email a one-time link; the link opens callback.html,
+ * which trades the token in it for a session. The session
+ * (`{ token, email, expiresAt }`) is kept in localStorage under
+ * `taskRoverSession` so pages can check it before the store is opened, and
+ * its token is sent as a bearer token with API requests.
+ *
+ * Pages call `requireSession()` before drawing anything and `checkSession()`
+ * once loaded, which asks the server whether the session is still valid. A
+ * session that cannot be checked because the server is unreachable is
+ * trusted, so the app keeps working offline.
+ */
+
+(() => {
+  window.TaskRover = window.TaskRover || {};
+  const SESSION_KEY = "taskRoverSession";
+
+  /**
+   * Base URL of the server's API
+   */
+  function apiBase() {
+    return `${window.location.origin}/api`;
+  }
+
+  /**
+   * The current session, or null when signed out or expired
+   */
+  function session() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(SESSION_KEY));
+      return stored && stored.token && stored.expiresAt > Date.now() ? stored : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Forget the session on this device
+   */
+  function clearSession() {
+    localStorage.removeItem(SESSION_KEY);
+  }
+
+  /**
+   * Headers that identify the signed-in user to the server
+   */
+  function authHeaders() {
+    const current = session();
+    return current ? { Authorization: `Bearer ${current.token}` } : {};
+  }
+
+  /**
+   * Call the server's auth API and return its JSON reply
+   * @param {string} method
+   * @param {string} path
+   * @param {Object} [body]
+   */
+  function request(method, path, body) {
+    if (!/^https?:$/.test(window.location.protocol)) {
+      return Promise.reject(new Error("Signing in needs the Task Rover server. Start it with node server/sync-server.js and open the address it prints."));
+    }
+    return fetch(`${apiBase()}${path}`, {
+      method,
+      headers: { ...authHeaders(), ...(body ? { "Content-Type": "application/json" } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+    }).catch(() => {
+      throw new Error("Couldn't reach the Task Rover server. Check your connection and try again.");
+    }).then((res) => res.json().catch(() => ({})).then((data) => {
+      if (!res.ok) {
+        const err = new Error(data.error || `The server replied ${res.status}.`);
+        err.status = res.status;
+        throw err;
+      }
+      return data;
+    }));
+  }
+
+  /**
+   * Ask the server to email a sign-in link
+   * @param {string} email
+   */
+  function requestLink(email) {
+    return request("POST", "/auth/link", { email });
+  }
+
+  /**
+   * Trade the token from a sign-in link for a session and keep it
+   * @param {string} token
+   */
+  function completeSignIn(token) {
+    return request("POST", "/auth/verify", { token }).then((reply) => {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(reply));
+      // Keys from before sign-in links; nothing reads them any more
+      localStorage.removeItem("loggedIn");
+      localStorage.removeItem("userEmail");
+      return reply;
+    });
+  }
+
+  /**
+   * Ask the server whether the session is still valid. Resolves false (and
+   * forgets the session) only when the server says it is not.
+   */
+  function checkSession() {
+    if (!session()) return Promise.resolve(false);
+    return request("GET", "/auth/session").then(() => true, (err) => {
+      if (err.status !== 401) return true;
+      clearSession();
+      return false;
+    });
+  }
+
+  /**
+   * Send the user to the sign-in page unless they have a session
+   * @returns {boolean} whether the page may carry on
+   */
+  function requireSession() {
+    if (session()) return true;
+    window.location.href = "signin.html";
+    return false;
+  }
+
+  /**
+   * End the session on the server (when reachable) and on this device
+   */
+  function signOut() {
+    const ended = session() ? request("POST", "/auth/signout").catch(() => {}) : Promise.resolve();
+    return ended.then(clearSession);
+  }
+
+  window.TaskRover.auth = {
+    session,
+    authHeaders,
+    requestLink,
+    completeSignIn,
+    checkSession,
+    requireSession,
+    signOut,
+  };
+})();
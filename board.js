@@ -3,55 +3,227 @@
  *
  * This script powers the main kanban board. It handles authentication
  * checking, task management (create/edit/delete/move), rendering the
- * columns, and navigation to other pages (stats, sign out). Tasks are
- * stored in localStorage under the key `taskRoverTasks`.
+ * columns, and navigation to other pages (stats, sign out). Each board's
+ * tasks are stored through boards.js, which also tracks the list of boards
+ * shown in the header switcher; the column layout comes from columns.js and
+ * can be edited from the "Manage columns" sheet. Both sit on the shared
+ * store in storage.js, which is opened before the board is drawn.
  */
 
 (() => {
-  // Define statuses and their display labels
-  const statuses = [
-    { key: "todo", label: "To Do" },
-    { key: "doing", label: "In Progress" },
-    { key: "done", label: "Done" },
-  ];
+  const storage = window.TaskRover.storage;
+  const columnStore = window.TaskRover.columns;
+  const markdown = window.TaskRover.markdown;
+  const labelStore = window.TaskRover.labels;
+  const recurrence = window.TaskRover.recurrence;
+  const dates = window.TaskRover.dates;
+  const reminders = window.TaskRover.reminders;
+  const calendar = window.TaskRover.calendar;
+  const filters = window.TaskRover.filters;
+  const transfer = window.TaskRover.transfer;
+  const importers = window.TaskRover.importers;
+  const ical = window.TaskRover.ical;
+  const boardStore = window.TaskRover.boards;
+  const sync = window.TaskRover.sync;
+  const historyStore = window.TaskRover.history;
+  const undoStack = window.TaskRover.undo;
+  const auth = window.TaskRover.auth;
 
+  // The signed-in user's email
+  let currentUser = null;
+  // All boards and the one currently shown
+  let boards = [];
+  let activeBoardId = null;
+  // Ordered column definitions ({ key, label, done }), loaded from storage
+  let columns = [];
+  // The active board's labels ({ id, name, color })
+  let labels = [];
+  // What the board is narrowed to (see filters.js) and the board's saved views
+  let filter = filters.emptyFilter();
+  let views = [];
   let tasks = [];
   let currentEditId = null;
+  // Multi-select: whether checkboxes are shown, and the ids of selected tasks
+  let selectMode = false;
+  // "board" or "calendar", and the calendar's period and the day it shows
+  let layout = "board";
+  let calendarMode = "month";
+  let calendarAnchor = new Date();
+  let selectedIds = new Set();
+  // Keys saved by other tabs that haven't been applied yet
+  let externalKeys = new Set();
+  let externalTimer = null;
+  // Working copy of the checklist shown in the modal; saved with the task
+  let draftChecklist = [];
+  // Label ids picked in the modal
+  let draftLabels = new Set();
+  let draftReminders = new Set();
+  // A parsed import file waiting for confirmation (see readImportFile)
+  let pendingImport = null;
   let undoTimer = null;
+  // Latest status reported by sync.js
+  let syncStatus = null;
+  // Long-press drag in progress on a touch screen (see onCardTouchStart)
+  let touchDrag = null;
+
+  // Touch drag tuning
+  const LONG_PRESS_MS = 350;
+  // Tasks listed in a month view's day before "+N more"
+  const MONTH_CELL_TASKS = 3;
+  const TOUCH_SLOP = 10;
+  const AUTO_SCROLL_EDGE = 56;
+  const AUTO_SCROLL_SPEED = 12;
 
   // Elements
   const boardEl = document.getElementById("board");
+  const calendarBtn = document.getElementById("calendarBtn");
+  const calendarEl = document.getElementById("calendarView");
+  const calendarTitleEl = document.getElementById("calendarTitle");
+  const calendarModeSelect = document.getElementById("calendarModeSelect");
+  const calendarGridEl = document.getElementById("calendarGrid");
+  const unscheduledTasksEl = document.getElementById("unscheduledTasks");
   const quickAddInput = document.getElementById("quickAddInput");
   const quickAddBtn = document.getElementById("quickAddBtn");
+  const quickAddPreviewEl = document.getElementById("quickAddPreview");
+  const quickAddPlaceholder = quickAddInput.placeholder;
   const themeToggleBtn = document.getElementById("themeToggle");
   const toastEl = document.getElementById("toast");
   const overlayEl = document.getElementById("overlay");
+  const selectModeBtn = document.getElementById("selectModeBtn");
+  const selectionBarEl = document.getElementById("selectionBar");
+  const selectionCountEl = document.getElementById("selectionCount");
+  const bulkMoveSelect = document.getElementById("bulkMoveSelect");
+  const bulkPrioritySelect = document.getElementById("bulkPrioritySelect");
+  const bulkOwnerSelect = document.getElementById("bulkOwnerSelect");
+  const bulkDueInput = document.getElementById("bulkDueInput");
+  const undoBtn = document.getElementById("undoBtn");
+  const redoBtn = document.getElementById("redoBtn");
   const taskModalEl = document.getElementById("taskModal");
   const taskForm = document.getElementById("taskForm");
   const modalTitleEl = document.getElementById("modalTitle");
+  const taskTabsEl = document.getElementById("taskTabs");
+  const detailsTab = document.getElementById("detailsTab");
+  const historyTab = document.getElementById("historyTab");
+  const taskHistoryEl = document.getElementById("taskHistory");
+  const taskChangedNoticeEl = document.getElementById("taskChangedNotice");
+  const taskChangedTextEl = document.getElementById("taskChangedText");
+  const reloadTaskBtn = document.getElementById("reloadTaskBtn");
   const taskTitleInput = document.getElementById("taskTitleInput");
+  const taskDescriptionInput = document.getElementById("taskDescriptionInput");
+  const taskDescriptionView = document.getElementById("taskDescriptionView");
+  const descriptionWriteTab = document.getElementById("descriptionWriteTab");
+  const descriptionPreviewTab = document.getElementById("descriptionPreviewTab");
   const taskDueInput = document.getElementById("taskDueInput");
-  const taskOwnerInput = document.getElementById("taskOwnerInput");
+  const taskDueTimeInput = document.getElementById("taskDueTimeInput");
+  const reminderOptionsEl = document.getElementById("reminderOptions");
+  const reminderHintEl = document.getElementById("reminderHint");
+  const ownerOptionsEl = document.getElementById("ownerOptions");
   const deleteTaskBtn = document.getElementById("deleteTaskBtn");
   const cancelTaskBtn = document.getElementById("cancelTaskBtn");
   const priorityOptions = document.getElementById("priorityOptions");
   const statusOptions = document.getElementById("statusOptions");
   const saveTaskBtn = document.getElementById("saveTaskBtn");
+  const labelOptionsEl = document.getElementById("labelOptions");
+  const newLabelInput = document.getElementById("newLabelInput");
+  const labelFilterEl = document.getElementById("labelFilter");
+  const searchInput = document.getElementById("searchInput");
+  const viewSelect = document.getElementById("viewSelect");
+  const ownerFilterEl = document.getElementById("ownerFilter");
+  const priorityFilterEl = document.getElementById("priorityFilter");
+  const dueFilterEl = document.getElementById("dueFilter");
+  const statusFilterEl = document.getElementById("statusFilter");
+  const viewsModalEl = document.getElementById("viewsModal");
+  const viewsListEl = document.getElementById("viewsList");
+  const saveViewForm = document.getElementById("saveViewForm");
+  const viewNameInput = document.getElementById("viewNameInput");
+  const transferModalEl = document.getElementById("transferModal");
+  const importFileInput = document.getElementById("importFileInput");
+  const importPreviewEl = document.getElementById("importPreview");
+  const importMappingEl = document.getElementById("importMapping");
+  const importBtn = document.getElementById("importBtn");
+  const calendarKindInput = document.getElementById("calendarKindInput");
+  const calendarFeedBtn = document.getElementById("calendarFeedBtn");
+  const calendarFeedInput = document.getElementById("calendarFeedInput");
+  const calendarFeedHintEl = document.getElementById("calendarFeedHint");
+  const syncModalEl = document.getElementById("syncModal");
+  const syncEndpointInput = document.getElementById("syncEndpointInput");
+  const syncEnabledInput = document.getElementById("syncEnabledInput");
+  const syncStatusEl = document.getElementById("syncStatus");
+  const syncBtn = document.getElementById("syncBtn");
+  const membersModalEl = document.getElementById("membersModal");
+  const membersListEl = document.getElementById("membersList");
+  const membersHintEl = document.getElementById("membersHint");
+  const addMemberForm = document.getElementById("addMemberForm");
+  const memberEmailInput = document.getElementById("memberEmailInput");
+  const memberNameInput = document.getElementById("memberNameInput");
+  const memberRoleSelect = document.getElementById("memberRoleSelect");
+  const signOutModalEl = document.getElementById("signOutModal");
+  const digestModalEl = document.getElementById("digestModal");
+  const digestListEl = document.getElementById("digestList");
+  const signOutWarningEl = document.getElementById("signOutWarning");
+  const labelsModalEl = document.getElementById("labelsModal");
+  const labelsListEl = document.getElementById("labelsList");
+  const addLabelForm = document.getElementById("addLabelForm");
+  const labelNameInput = document.getElementById("labelNameInput");
+  const labelColorInput = document.getElementById("labelColorInput");
+  const taskRepeatSelect = document.getElementById("taskRepeatSelect");
+  const repeatDaysEl = document.getElementById("repeatDays");
+  const repeatDayOfMonthInput = document.getElementById("repeatDayOfMonthInput");
+  const repeatEveryInput = document.getElementById("repeatEveryInput");
+  const checklistItemsEl = document.getElementById("checklistItems");
+  const checklistProgressEl = document.getElementById("checklistProgress");
+  const checklistInput = document.getElementById("checklistInput");
+  const checklistAddBtn = document.getElementById("checklistAddBtn");
+  const columnsModalEl = document.getElementById("columnsModal");
+  const columnsListEl = document.getElementById("columnsList");
+  const addColumnForm = document.getElementById("addColumnForm");
+  const newColumnInput = document.getElementById("newColumnInput");
+  const boardSelect = document.getElementById("boardSelect");
+  const boardsModalEl = document.getElementById("boardsModal");
+  const boardsListEl = document.getElementById("boardsList");
+  const addBoardForm = document.getElementById("addBoardForm");
+  const newBoardInput = document.getElementById("newBoardInput");
 
   /**
    * Initialise the board page
    */
   function init() {
     // Redirect to sign-in if not logged in
-    const loggedIn = localStorage.getItem("loggedIn");
-    if (!loggedIn) {
-      window.location.href = "signin.html";
-      return;
-    }
-    // Load tasks
-    loadTasks();
+    if (!auth.requireSession()) return;
     // Init theme
     initTheme();
+    // Surface storage problems instead of losing changes silently
+    storage.onError((problem) => showToast(problem.message));
+    window.addEventListener("beforeunload", (e) => {
+      if (storage.hasPendingWrites()) {
+        e.preventDefault();
+        e.returnValue = "";
+      }
+    });
+    // Each user has their own store, so people sharing a browser stay apart
+    currentUser = auth.session().email;
+    storage.open(currentUser).then(start);
+    // A session revoked elsewhere (signed out on the server) ends here too
+    auth.checkSession().then((valid) => {
+      if (!valid) window.location.href = "signin.html";
+    });
+  }
+
+  /**
+   * Draw the board and wire up events once the store is open
+   */
+  function start() {
+    // Load boards, then the active board's tasks
+    boards = boardStore.loadBoards(currentUser);
+    activeBoardId = boardStore.getActiveBoardId(boards);
+    // A bookmarked URL may carry a filter; read it before the board resets it
+    const bookmarked = window.location.search;
+    const savedLayout = storage.get("layout");
+    if (savedLayout && savedLayout.view === "calendar") layout = "calendar";
+    if (savedLayout && calendar.MODES.includes(savedLayout.mode)) calendarMode = savedLayout.mode;
+    loadTasks();
+    filter = filters.fromQuery(bookmarked, labels, views);
+    renderBoardSwitcher();
     // Render board
     renderBoard();
     // Wire up events
@@ -61,30 +233,208 @@
         handleQuickAdd();
       }
     });
+    quickAddInput.addEventListener("input", renderQuickAddPreview);
     themeToggleBtn.addEventListener("click", toggleTheme);
-    overlayEl.addEventListener("click", closeTaskModal);
+    overlayEl.addEventListener("click", () => {
+      closeTaskModal();
+      closeColumnsModal();
+      closeBoardsModal();
+      closeLabelsModal();
+      closeViewsModal();
+      closeTransferModal();
+      closeSyncModal();
+      closeMembersModal();
+      closeSheet(signOutModalEl);
+      closeSheet(digestModalEl);
+    });
     taskForm.addEventListener("submit", (e) => {
       e.preventDefault();
       saveTask();
     });
     cancelTaskBtn.addEventListener("click", closeTaskModal);
     deleteTaskBtn.addEventListener("click", deleteCurrentTask);
-    // Stats navigation
+    // Calendar: the same tasks by due date; dropping on a day reschedules
+    calendarBtn.addEventListener("click", () => setLayout(layout === "calendar" ? "board" : "calendar"));
+    document.getElementById("calendarPrevBtn").addEventListener("click", () => moveCalendar(-1));
+    document.getElementById("calendarNextBtn").addEventListener("click", () => moveCalendar(1));
+    document.getElementById("calendarTodayBtn").addEventListener("click", () => moveCalendar(0));
+    calendarModeSelect.addEventListener("change", () => {
+      calendarMode = calendarModeSelect.value;
+      saveLayout();
+      renderBoard();
+    });
+    calendarEl.addEventListener("dragover", (e) => {
+      const target = e.target.closest("[data-day]");
+      if (!target || !canEditBoard()) return;
+      e.preventDefault();
+      markCalendarDrop(target);
+    });
+    calendarEl.addEventListener("dragleave", (e) => {
+      if (!calendarEl.contains(e.relatedTarget)) markCalendarDrop(null);
+    });
+    calendarEl.addEventListener("drop", (e) => {
+      const target = e.target.closest("[data-day]");
+      markCalendarDrop(null);
+      if (!target) return;
+      e.preventDefault();
+      rescheduleTask(e.dataTransfer.getData("text/plain"), target.dataset.day);
+    });
+    // Touch drag: moves are tracked on the document so the finger can leave the card
+    document.addEventListener("touchmove", onTouchMove, { passive: false });
+    document.addEventListener("touchend", onTouchEnd, { passive: false });
+    document.addEventListener("touchcancel", finishTouchDrag);
+    document.addEventListener("contextmenu", (e) => {
+      if (touchDrag) e.preventDefault();
+    });
+    // Column manager
+    const columnsBtn = document.getElementById("columnsBtn");
+    if (columnsBtn) {
+      columnsBtn.addEventListener("click", openColumnsModal);
+    }
+    document.getElementById("closeColumnsBtn").addEventListener("click", closeColumnsModal);
+    addColumnForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      addColumn(newColumnInput.value);
+    });
+    // Search, filters and saved views
+    searchInput.addEventListener("input", () => updateFilter({ q: searchInput.value }));
+    ownerFilterEl.addEventListener("change", () => updateFilter({ owner: ownerFilterEl.value }));
+    priorityFilterEl.addEventListener("change", () => updateFilter({ priority: priorityFilterEl.value }));
+    dueFilterEl.addEventListener("change", () => updateFilter({ due: dueFilterEl.value }));
+    statusFilterEl.addEventListener("change", () => updateFilter({ status: statusFilterEl.value }));
+    viewSelect.addEventListener("change", () => applyView(viewSelect.value));
+    document.getElementById("viewsBtn").addEventListener("click", openViewsModal);
+    document.getElementById("closeViewsBtn").addEventListener("click", closeViewsModal);
+    saveViewForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      saveView(viewNameInput.value);
+    });
+    // Label manager and the modal's label picker
+    document.getElementById("labelsBtn").addEventListener("click", openLabelsModal);
+    document.getElementById("closeLabelsBtn").addEventListener("click", closeLabelsModal);
+    addLabelForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      addLabel(labelNameInput.value, labelColorInput.value);
+    });
+    newLabelInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        addLabelFromPicker();
+      }
+    });
+    document.getElementById("newLabelBtn").addEventListener("click", addLabelFromPicker);
+    // Import and export
+    document.getElementById("transferBtn").addEventListener("click", openTransferModal);
+    document.getElementById("closeTransferBtn").addEventListener("click", closeTransferModal);
+    document.getElementById("exportJsonBtn").addEventListener("click", () => exportBoard("json"));
+    document.getElementById("exportCsvBtn").addEventListener("click", () => exportBoard("csv"));
+    document.getElementById("exportIcsBtn").addEventListener("click", () => exportBoard("ics"));
+    calendarFeedBtn.addEventListener("click", getCalendarFeed);
+    // The link depends on the kind of item picked
+    calendarKindInput.addEventListener("change", resetCalendarFeed);
+    calendarFeedInput.addEventListener("focus", () => calendarFeedInput.select());
+    importFileInput.addEventListener("change", readImportFile);
+    transferModalEl.querySelectorAll('input[name="importMode"]').forEach((radio) => {
+      radio.addEventListener("change", renderImportPreview);
+    });
+    importBtn.addEventListener("click", applyImport);
+    // Sync with a server, if the user set one up
+    syncBtn.addEventListener("click", openSyncModal);
+    document.getElementById("closeSyncBtn").addEventListener("click", closeSyncModal);
+    document.getElementById("syncNowBtn").addEventListener("click", () => sync.syncNow());
+    sync.onStatus(renderSyncStatus);
+    sync.onRemoteChange((boardId) => {
+      if (boardId !== activeBoardId) return;
+      tasks = boardStore.loadTasks(activeBoardId);
+      renderBoard();
+    });
+    sync.onRemoteBoards(() => {
+      renderBoardSwitcher();
+      renderMembersList();
+      renderBoard();
+    });
+    sync.onConflict(showSyncConflict);
+    sync.start(() => boards);
+    historyStore.start();
+    // Other tabs with the board open
+    storage.onExternalChange(noteExternalChange);
+    reloadTaskBtn.addEventListener("click", () => openTaskModal(currentEditId));
+    // Undo and redo of task changes
+    undoStack.onChange(renderUndoButtons);
+    undoStack.open(currentUser);
+    undoBtn.addEventListener("click", undoChange);
+    redoBtn.addEventListener("click", redoChange);
+    document.addEventListener("keydown", onUndoKey);
+    // Multi-select and batch actions
+    selectModeBtn.addEventListener("click", () => setSelectMode(!selectMode));
+    document.getElementById("selectAllBtn").addEventListener("click", selectAllShown);
+    document.getElementById("clearSelectionBtn").addEventListener("click", () => setSelectMode(false));
+    bulkMoveSelect.addEventListener("change", () => {
+      if (bulkMoveSelect.value) bulkMove(bulkMoveSelect.value);
+    });
+    bulkPrioritySelect.addEventListener("change", () => {
+      const priority = bulkPrioritySelect.value;
+      if (priority) bulkUpdate(`Set priority of ${countOf(selectedIds.size)}`, (task) => {
+        task.priority = priority;
+      });
+    });
+    bulkOwnerSelect.addEventListener("change", () => {
+      const owner = bulkOwnerSelect.value;
+      if (owner) bulkUpdate(`Assign ${countOf(selectedIds.size)}`, (task) => {
+        task.owner = owner;
+      });
+    });
+    bulkDueInput.addEventListener("change", () => {
+      const due = bulkDueInput.value;
+      if (due) bulkUpdate(`Set due date of ${countOf(selectedIds.size)}`, (task) => {
+        task.due = due;
+      });
+    });
+    document.getElementById("bulkClearDueBtn").addEventListener("click", () => {
+      bulkUpdate(`Clear due date of ${countOf(selectedIds.size)}`, (task) => {
+        delete task.due;
+        delete task.dueTime;
+      });
+    });
+    document.getElementById("bulkDeleteBtn").addEventListener("click", bulkDelete);
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && !overlayEl.classList.contains("show") && (selectMode || selectedIds.size > 0)) {
+        setSelectMode(false);
+      }
+    });
+    // Board members and roles
+    document.getElementById("membersBtn").addEventListener("click", openMembersModal);
+    document.getElementById("closeMembersBtn").addEventListener("click", closeMembersModal);
+    addMemberForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      addMember(memberEmailInput.value, memberNameInput.value, memberRoleSelect.value);
+    });
+    // Board switcher and manager
+    boardSelect.addEventListener("change", () => switchBoard(boardSelect.value));
+    document.getElementById("boardsBtn").addEventListener("click", openBoardsModal);
+    document.getElementById("closeBoardsBtn").addEventListener("click", closeBoardsModal);
+    addBoardForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      addBoard(newBoardInput.value);
+    });
+    // Activity feed and stats navigation
+    document.getElementById("activityBtn").addEventListener("click", () => {
+      window.location.href = "activity.html";
+    });
     const statsBtn = document.getElementById("statsBtn");
     if (statsBtn) {
       statsBtn.addEventListener("click", () => {
         window.location.href = "stats.html";
       });
     }
-    // Sign out
+    // Sign out, keeping or removing this user's data on the device
     const signOutBtn = document.getElementById("signOutBtn");
     if (signOutBtn) {
-      signOutBtn.addEventListener("click", () => {
-        localStorage.removeItem("loggedIn");
-        localStorage.removeItem("userEmail");
-        window.location.href = "landing.html";
-      });
+      signOutBtn.addEventListener("click", openSignOutModal);
     }
+    document.getElementById("signOutKeepBtn").addEventListener("click", () => signOut(false));
+    document.getElementById("signOutWipeBtn").addEventListener("click", () => signOut(true));
+    document.getElementById("cancelSignOutBtn").addEventListener("click", () => closeSheet(signOutModalEl));
     // Priority selection buttons
     if (priorityOptions) {
       priorityOptions.addEventListener("click", (e) => {
@@ -95,6 +445,14 @@
       });
     }
 
+    // Assignee picker
+    ownerOptionsEl.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-owner]");
+      if (!btn) return;
+      setActiveOwner(btn.dataset.owner);
+      updateSaveBtnState();
+    });
+
     // Status selection buttons
     if (statusOptions) {
       statusOptions.addEventListener("click", (e) => {
@@ -105,8 +463,48 @@
       });
     }
 
+    // Description: switch between the Markdown source and its rendering
+    detailsTab.addEventListener("click", () => setTaskView("details"));
+    historyTab.addEventListener("click", () => setTaskView("history"));
+    descriptionWriteTab.addEventListener("click", () => setDescriptionMode("write"));
+    descriptionPreviewTab.addEventListener("click", () => setDescriptionMode("preview"));
+
+    // Repeat: picking a rule type resets its details to match the due date
+    taskRepeatSelect.addEventListener("change", () => {
+      setDraftRecurrence({ type: taskRepeatSelect.value });
+    });
+    repeatDaysEl.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-day]");
+      if (btn) btn.classList.toggle("active");
+    });
+
+    // Reminders: asking to show notifications needs a click, so it happens
+    // when the first reminder is picked
+    renderReminderOptions();
+    reminderOptionsEl.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-reminder]");
+      if (!btn) return;
+      const key = btn.dataset.reminder;
+      if (draftReminders.has(key)) {
+        draftReminders.delete(key);
+      } else {
+        draftReminders.add(key);
+      }
+      setDraftReminders(Array.from(draftReminders));
+      if (draftReminders.size > 0) reminders.requestPermission().then(renderReminderHint);
+    });
+
+    // Checklist: Enter adds an item instead of submitting the form
+    checklistAddBtn.addEventListener("click", addChecklistItem);
+    checklistInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        addChecklistItem();
+      }
+    });
+
     // Update save button state on input changes
-    const inputsToWatch = [taskTitleInput, taskOwnerInput, taskDueInput];
+    const inputsToWatch = [taskTitleInput, taskDueInput];
     inputsToWatch.forEach((input) => {
       input.addEventListener("input", updateSaveBtnState);
     });
@@ -116,31 +514,242 @@
     if (statusOptions) {
       statusOptions.addEventListener("click", updateSaveBtnState);
     }
+
+    // Reminders while the board is open, the daily digest, and tasks linked
+    // from a notification (`#board=…&task=…`)
+    reminders.start({
+      user: currentUser,
+      fallback: (reminder) => showToast(`⏰ ${reminder.title}: ${reminder.body}`),
+    });
+    document.getElementById("closeDigestBtn").addEventListener("click", () => closeSheet(digestModalEl));
+    window.addEventListener("hashchange", openLinkedTask);
+    if (!openLinkedTask()) showDigest();
   }
 
   /**
-   * Load tasks from localStorage
+   * Load the active board's columns and tasks. Tasks whose status does not
+   * match any column are moved into the first column.
    */
   function loadTasks() {
-    try {
-      const stored = localStorage.getItem("taskRoverTasks");
-      tasks = stored ? JSON.parse(stored) : [];
-    } catch (_) {
-      tasks = [];
+    columns = columnStore.loadColumns(activeBoardId);
+    labels = labelStore.loadLabels(activeBoardId);
+    views = filters.loadViews(activeBoardId);
+    filter = filters.emptyFilter();
+    tasks = boardStore.loadTasks(activeBoardId);
+    if (columnStore.reconcileTasks(columns, tasks)) {
+      persistTasks();
+    }
+    renderStatusOptions();
+  }
+
+  /**
+   * Another tab saved a record: refresh what it touched once its burst of
+   * writes is over
+   * @param {string} key
+   */
+  function noteExternalChange(key) {
+    externalKeys.add(key);
+    clearTimeout(externalTimer);
+    externalTimer = setTimeout(applyExternalChanges, 50);
+  }
+
+  /**
+   * Reload the board list and the active board's data that other tabs
+   * changed, keeping the filter, selection and open sheets as they are
+   */
+  function applyExternalChanges() {
+    const keys = externalKeys;
+    externalKeys = new Set();
+    if (keys.has("boards")) {
+      boards = boardStore.loadBoards(currentUser);
+      if (!boardStore.activeBoards(boards).some((b) => b.id === activeBoardId)) {
+        switchBoard(boardStore.getActiveBoardId(boards));
+      }
+      renderBoardSwitcher();
+      renderMembersList();
+    }
+    if (keys.has(`columns:${activeBoardId}`)) {
+      columns = columnStore.loadColumns(activeBoardId);
+      renderStatusOptions();
+    }
+    if (keys.has(`labels:${activeBoardId}`)) {
+      labels = labelStore.loadLabels(activeBoardId);
+    }
+    if (keys.has(`views:${activeBoardId}`)) {
+      views = filters.loadViews(activeBoardId);
     }
+    if (keys.has(`tasks:${activeBoardId}`)) {
+      const open = currentEditId ? tasks.find((t) => t.id === currentEditId) : null;
+      const openBefore = open ? taskContent(open) : null;
+      tasks = boardStore.loadTasks(activeBoardId);
+      if (open) {
+        const now = tasks.find((t) => t.id === currentEditId);
+        if (!now) {
+          showTaskChangedNotice("This task was deleted in another tab. Saving adds it back as a new task.", false);
+        } else if (taskContent(now) !== openBefore) {
+          showTaskChangedNotice("This task was changed in another tab. Saving replaces those changes with yours.", true);
+        }
+      }
+    }
+    renderBoard();
   }
 
   /**
-   * Save tasks to localStorage
+   * A task's fields as a string, leaving out order and sync stamps, to tell
+   * whether someone edited it
+   * @param {Object} task
+   */
+  function taskContent(task) {
+    const { position, updatedAt, updatedBy, version, ...content } = task;
+    return JSON.stringify(content);
+  }
+
+  /**
+   * Warn in the open task sheet that another tab changed or deleted the task
+   * @param {string} message
+   * @param {boolean} canReload whether the latest version can be loaded
+   */
+  function showTaskChangedNotice(message, canReload) {
+    taskChangedTextEl.textContent = message;
+    reloadTaskBtn.classList.toggle("hidden", !canReload);
+    taskChangedNoticeEl.classList.remove("hidden");
+  }
+
+  /**
+   * Save the active board's tasks
    */
   function persistTasks() {
-    try {
-      localStorage.setItem("taskRoverTasks", JSON.stringify(tasks));
-    } catch (_) {
-      // ignore
+    boardStore.saveTasks(activeBoardId, tasks);
+  }
+
+  /**
+   * Make a change to the active board's tasks as one undoable step. `fn`
+   * changes `tasks` and saves them.
+   * @param {string} label e.g. `Delete "Buy milk"`
+   * @param {Function} fn
+   * @returns {Object|null} the recorded command (see undo.js)
+   */
+  function trackChange(label, fn) {
+    const before = tasks.map((task) => JSON.parse(JSON.stringify(task)));
+    fn();
+    return undoStack.record(label, activeBoardId, before, tasks);
+  }
+
+  /**
+   * A toast's Undo action for `command`, which does nothing once later
+   * changes have been made on top of it
+   * @param {Object|null} command
+   */
+  function undoButtonFor(command) {
+    return command ? () => {
+      if (undoStack.peekUndo() === command) undoChange();
+    } : null;
+  }
+
+  /**
+   * Undo the latest change, switching to its board first if needed
+   */
+  function undoChange() {
+    const command = undoStack.peekUndo();
+    if (!command || !canApply(command)) return;
+    applyCommand(undoStack.takeUndo(), "before");
+    showToast(`Undone: ${command.label}.`);
+  }
+
+  /**
+   * Redo the latest undone change
+   */
+  function redoChange() {
+    const command = undoStack.peekRedo();
+    if (!command || !canApply(command)) return;
+    applyCommand(undoStack.takeRedo(), "after");
+    showToast(`Redone: ${command.label}.`);
+  }
+
+  /**
+   * Whether a command's board is still there and editable; commands that
+   * can't be applied any more are dropped
+   * @param {Object} command
+   */
+  function canApply(command) {
+    const board = boards.find((b) => b.id === command.boardId);
+    if (board && boardStore.canEdit(board, currentUser)) return true;
+    undoStack.discard(command);
+    showToast(`Can't undo or redo ${command.label}: that board is gone or read-only now.`);
+    return false;
+  }
+
+  /**
+   * Put one side of a command's task copies back on its board. Tasks keep
+   * their current sync version so the server takes the change as a new edit.
+   * @param {Object} command
+   * @param {string} side "before" to undo, "after" to redo
+   */
+  function applyCommand(command, side) {
+    if (command.boardId !== activeBoardId) switchBoard(command.boardId);
+    command.changes.forEach((change) => {
+      const copy = change[side];
+      const id = (change.before || change.after).id;
+      const index = tasks.findIndex((t) => t.id === id);
+      if (!copy) {
+        if (index !== -1) tasks.splice(index, 1);
+      } else if (index === -1) {
+        tasks.push(JSON.parse(JSON.stringify(copy)));
+      } else {
+        tasks[index] = { ...JSON.parse(JSON.stringify(copy)), version: tasks[index].version };
+      }
+    });
+    persistTasks();
+    renderBoard();
+  }
+
+  /**
+   * Ctrl/Cmd+Z undoes and Shift+Ctrl/Cmd+Z (or Ctrl+Y) redoes, except in
+   * text fields, which keep their own undo, and while a sheet is open
+   * @param {KeyboardEvent} e
+   */
+  function onUndoKey(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    const redo = (key === "z" && e.shiftKey) || (key === "y" && !e.shiftKey);
+    if (key !== "z" && !redo) return;
+    if (e.target.closest && e.target.closest("input, textarea, select, [contenteditable]")) return;
+    if (overlayEl.classList.contains("show")) return;
+    e.preventDefault();
+    if (redo) {
+      redoChange();
+    } else {
+      undoChange();
     }
   }
 
+  /**
+   * Enable the undo and redo buttons when there is something to undo or
+   * redo, and name the change in their tooltips
+   */
+  function renderUndoButtons() {
+    const undoable = undoStack.peekUndo();
+    const redoable = undoStack.peekRedo();
+    undoBtn.disabled = !undoable;
+    redoBtn.disabled = !redoable;
+    undoBtn.title = undoable ? `Undo ${undoable.label}` : "Nothing to undo";
+    redoBtn.title = redoable ? `Redo ${redoable.label}` : "Nothing to redo";
+  }
+
+  /**
+   * Save the active board's labels
+   */
+  function persistLabels() {
+    labelStore.saveLabels(activeBoardId, labels);
+  }
+
+  /**
+   * Save the active board's columns
+   */
+  function persistColumns() {
+    columnStore.saveColumns(activeBoardId, columns);
+  }
+
   /**
    * Initialise theme based on saved preference or system
    */
@@ -189,25 +798,41 @@
    */
   function handleQuickAdd() {
     const value = quickAddInput.value.trim();
-    if (!value) return;
-    const { title, due, priority } = parseInput(value);
+    if (!value || !canEditBoard()) return;
+    const { title, due, priority, tags, repeat, invalidDate } = parseInput(value);
+    if (invalidDate) {
+      showToast(`"${invalidDate}" is not a valid date.`);
+      return;
+    }
     // Open modal for detailed input. Pre‑fill fields from quick add where possible.
     quickAddInput.value = "";
+    renderQuickAddPreview();
     // Reset modal first
     currentEditId = null;
     modalTitleEl.textContent = "Add Task";
     taskTitleInput.value = title;
     taskDueInput.value = due || "";
-    taskOwnerInput.value = "";
-    // Default status to "todo"
-    setActiveStatus("todo");
+    taskDueTimeInput.value = "";
+    setDraftReminders([]);
+    renderOwnerOptions(currentUser);
+    // Default status to the first column
+    setActiveStatus(columns[0].key);
     // Pre‑set priority if provided
     setActivePriority(priority || "");
+    setDraftRecurrence(repeat);
+    setDraftChecklist([]);
+    taskDescriptionInput.value = "";
+    setDescriptionMode("write");
+    // #tags pick existing labels by name and create any that are new
+    const labelCount = labels.length;
+    const tagged = tags.map((name) => labelStore.createLabel(labels, name));
+    if (labels.length !== labelCount) {
+      persistLabels();
+      renderLabelFilter();
+    }
+    setDraftLabels(tagged.map((label) => label.id));
     deleteTaskBtn.style.display = "none";
-    overlayEl.classList.remove("hidden");
-    overlayEl.classList.add("show");
-    taskModalEl.classList.remove("hidden");
-    taskModalEl.classList.add("show");
+    openSheet(taskModalEl);
     setTimeout(() => {
       taskTitleInput.focus();
       updateSaveBtnState();
@@ -215,17 +840,32 @@
   }
 
   /**
-   * Parse quick add input for due and priority tokens
+   * Parse quick add input for @due, priority, *repeat and #label tokens.
+   * The due date may be a phrase of up to three words (see dates.js); an
+   * @token that starts with a digit but is not a real date is returned as
+   * `invalidDate` so it is not stored.
    * @param {string} input
    */
   function parseInput(input) {
     let title = input;
     let due;
+    let invalidDate;
     let priority;
-    const dueMatch = input.match(/@((?:19|20)\d\d-[01]\d-[0-3]\d)/);
-    if (dueMatch) {
-      due = dueMatch[1];
-      title = title.replace(dueMatch[0], "");
+    const at = /(^|\s)@(\S+)(\s+\S+)?(\s+\S+)?/.exec(title);
+    if (at) {
+      // Prefer the longest phrase, so "@dec 5" is not read as "@dec"
+      const parts = [at[2], at[3], at[4]].filter(Boolean);
+      for (let n = parts.length; n > 0 && !due; n -= 1) {
+        const raw = parts.slice(0, n).join("");
+        due = dates.parsePhrase(raw) || undefined;
+        if (due) {
+          const start = at.index + at[1].length;
+          title = title.slice(0, start) + title.slice(start + 1 + raw.length);
+        }
+      }
+      if (!due && /^\d/.test(at[2])) {
+        invalidDate = `@${at[2]}`;
+      }
     }
     const priMatch = input.match(/!+/);
     if (priMatch) {
@@ -235,7 +875,51 @@
       if (count >= 3) priority = "low";
       title = title.replace(priMatch[0], "");
     }
-    return { title: title.trim(), due, priority };
+    let repeat = null;
+    title = title.replace(/(^|\s)\*([\w:,]+)/g, (match, space, token) => {
+      const rule = recurrence.parse(token);
+      if (!rule || repeat) return match;
+      repeat = rule;
+      return space;
+    });
+    const tags = [];
+    title = title.replace(/(^|\s)#([\w-]+)/g, (match, space, name) => {
+      tags.push(name);
+      return space;
+    });
+    return { title: title.replace(/\s+/g, " ").trim(), due, priority, tags, repeat, invalidDate };
+  }
+
+  /**
+   * Show what quick add will make of the current input: title, due date,
+   * priority, repeat rule and labels, or why the date was not understood
+   */
+  function renderQuickAddPreview() {
+    const value = quickAddInput.value.trim();
+    quickAddPreviewEl.innerHTML = "";
+    quickAddPreviewEl.classList.toggle("hidden", !value);
+    if (!value) return;
+    const { title, due, priority, tags, repeat, invalidDate } = parseInput(value);
+    const addPart = (text, className) => {
+      const part = document.createElement("span");
+      part.className = className ? `preview-part ${className}` : "preview-part";
+      part.textContent = text;
+      quickAddPreviewEl.appendChild(part);
+    };
+    addPart(title || "Untitled", "preview-title");
+    if (invalidDate) {
+      addPart(`"${invalidDate}" is not a valid date`, "preview-error");
+    } else if (due) {
+      const options = { weekday: "short", month: "short", day: "numeric" };
+      addPart(`Due ${dates.parseDate(due).toLocaleDateString(undefined, options)}`);
+    }
+    if (priority) {
+      addPart(`${priority.charAt(0).toUpperCase()}${priority.slice(1)} priority`);
+    }
+    if (repeat) {
+      addPart(`↻ ${recurrence.describe(recurrence.normalize(repeat, due))}`);
+    }
+    tags.forEach((name) => addPart(`#${name}`));
   }
 
   /**
@@ -243,16 +927,31 @@
    */
   function addTask(data) {
     const newTask = {
-      id: Date.now().toString(),
+      id: createId(),
       title: data.title,
+      description: data.description || "",
       due: data.due,
       priority: data.priority,
       status: data.status,
       owner: data.owner || "",
+      checklist: data.checklist || [],
+      labels: data.labels || [],
+      position: nextPosition(data.status),
       createdAt: Date.now(),
     };
-    tasks.push(newTask);
-    persistTasks();
+    if (data.dueTime) {
+      newTask.dueTime = data.dueTime;
+    }
+    if (data.reminders && data.reminders.length > 0) {
+      newTask.reminders = data.reminders;
+    }
+    if (data.recurrence) {
+      newTask.recurrence = data.recurrence;
+    }
+    trackChange(`Add "${newTask.title}"`, () => {
+      tasks.push(newTask);
+      persistTasks();
+    });
     renderBoard();
   }
 
@@ -260,8 +959,20 @@
    * Render the kanban board
    */
   function renderBoard() {
+    applyAccess();
+    renderFilterBar();
+    pruneSelection();
+    renderSelectionBar();
+    boardEl.classList.toggle("hidden", layout === "calendar");
+    calendarEl.classList.toggle("hidden", layout !== "calendar");
+    calendarBtn.setAttribute("aria-pressed", String(layout === "calendar"));
+    calendarBtn.setAttribute("aria-label", layout === "calendar" ? "Board view" : "Calendar view");
+    if (layout === "calendar") {
+      renderCalendar();
+      return;
+    }
     boardEl.innerHTML = "";
-    statuses.forEach((status) => {
+    columns.forEach((status) => {
       const col = document.createElement("section");
       col.className = "column";
       col.dataset.status = status.key;
@@ -272,28 +983,39 @@
       title.textContent = status.label;
       const count = document.createElement("span");
       count.className = "count-chip";
-      const tasksForStatus = tasks.filter((t) => t.status === status.key);
-      count.textContent = tasksForStatus.length;
+      const allForStatus = tasksInColumn(status.key);
+      const tasksForStatus = allForStatus.filter(matchesFilter);
+      count.textContent = tasksForStatus.length === allForStatus.length
+        ? allForStatus.length
+        : `${tasksForStatus.length}/${allForStatus.length}`;
       header.appendChild(title);
       header.appendChild(count);
       col.appendChild(header);
-      // Setup drop events for column
+      // Tasks list
+      const list = document.createElement("div");
+      list.className = "tasks-list";
+      // Setup drop events for column; the indicator shows where the card will land
       col.addEventListener("dragover", (e) => {
         e.preventDefault();
+        showDropIndicator(list, dropIndexAt(list, e.clientY));
+      });
+      col.addEventListener("dragleave", (e) => {
+        if (!col.contains(e.relatedTarget)) {
+          hideDropIndicator();
+        }
       });
       col.addEventListener("drop", (e) => {
         e.preventDefault();
+        const slot = dropIndexAt(list, e.clientY);
+        hideDropIndicator();
         const taskId = e.dataTransfer.getData("text/plain");
         const task = tasks.find((t) => t.id === taskId);
-        if (task && task.status !== status.key) {
-          moveTask(task.id, status.key);
+        if (task && canEditBoard()) {
+          moveTask(task.id, status.key, taskIndexForSlot(list, slot, task));
           renderBoard();
         }
       });
-      // Tasks list
-      const list = document.createElement("div");
-      list.className = "tasks-list";
-      tasksForStatus.sort((a, b) => a.createdAt - b.createdAt).forEach((task) => {
+      tasksForStatus.forEach((task) => {
         const card = createTaskCard(task);
         list.appendChild(card);
       });
@@ -303,83 +1025,680 @@
   }
 
   /**
-   * Create a DOM element for a task card
-   * @param {Object} task
+   * Tasks in a column, in their manual order (oldest first on ties)
+   * @param {string} key
    */
-  function createTaskCard(task) {
-    const card = document.createElement("div");
-    card.className = "task-card";
-    card.setAttribute("draggable", "true");
-    card.dataset.id = task.id;
-    card.dataset.status = task.status;
-    // Title
-    const titleEl = document.createElement("p");
-    titleEl.className = "task-title";
-    titleEl.textContent = task.title;
-    if (task.status === "done") {
-      titleEl.classList.add("done");
-    }
-    // Meta row
-    const meta = document.createElement("div");
-    meta.className = "meta-row";
-    // Priority dot and label
-    if (task.priority) {
-      const dot = document.createElement("span");
-      dot.className = `priority-dot ${task.priority}`;
-      meta.appendChild(dot);
-    }
-    // Due pill
-    if (task.due) {
-      const pill = document.createElement("span");
-      pill.className = "due-pill";
-      pill.textContent = formatDueLabel(task.due);
-      if (isDueSoon(task.due)) {
-        pill.classList.add("warn");
+  function tasksInColumn(key) {
+    const positionOf = (t) => (typeof t.position === "number" ? t.position : Number.MAX_SAFE_INTEGER);
+    return tasks
+      .filter((t) => t.status === key)
+      .sort((a, b) => positionOf(a) - positionOf(b) || a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Position that places a task at the bottom of a column
+   * @param {string} key
+   */
+  function nextPosition(key) {
+    const positions = tasksInColumn(key)
+      .map((t) => t.position)
+      .filter((p) => typeof p === "number");
+    return positions.length > 0 ? Math.max(...positions) + 1 : 0;
+  }
+
+  /**
+   * Index a dragged card would be inserted at, based on the pointer's
+   * vertical position relative to the other cards' midpoints
+   * @param {HTMLElement} list
+   * @param {number} clientY
+   */
+  function dropIndexAt(list, clientY) {
+    const cards = list.querySelectorAll(".task-card:not(.dragging)");
+    let index = 0;
+    cards.forEach((card) => {
+      const rect = card.getBoundingClientRect();
+      if (clientY > rect.top + rect.height / 2) {
+        index += 1;
       }
-      meta.appendChild(pill);
-    }
-    // Owner label
-    if (task.owner) {
-      const ownerSpan = document.createElement("span");
-      ownerSpan.className = "owner-label";
-      ownerSpan.textContent = task.owner;
-      meta.appendChild(ownerSpan);
-    }
-    card.appendChild(titleEl);
-    if (meta.childNodes.length > 0) {
-      card.appendChild(meta);
-    }
-    card.addEventListener("click", () => {
-      openTaskModal(task.id);
-    });
-    card.addEventListener("dragstart", (e) => {
-      card.classList.add("dragging");
-      e.dataTransfer.setData("text/plain", task.id);
-      e.dataTransfer.effectAllowed = "move";
-    });
-    card.addEventListener("dragend", () => {
-      card.classList.remove("dragging");
     });
-    return card;
+    return index;
   }
 
   /**
-   * Format due label
+   * Convert a slot among the visible cards of `list` into an index among all
+   * of the column's other tasks, so drops land correctly while some cards
+   * are hidden by a filter
+   * @param {HTMLElement} list
+   * @param {number} slot
+   * @param {Object} moving the task being dropped
    */
-  function formatDueLabel(dateStr) {
-    const date = new Date(dateStr + "T00:00:00");
-    if (isNaN(date)) return "Due";
-    const options = { month: "short", day: "numeric" };
-    return `Due ${date.toLocaleDateString(undefined, options)}`;
+  function taskIndexForSlot(list, slot, moving) {
+    const cards = list.querySelectorAll(".task-card:not(.dragging)");
+    const ordered = tasksInColumn(list.parentNode.dataset.status).filter((t) => t !== moving);
+    const indexOfCard = (card) => ordered.findIndex((t) => t.id === card.dataset.id);
+    if (slot < cards.length) return indexOfCard(cards[slot]);
+    if (cards.length === 0) return ordered.length;
+    return indexOfCard(cards[cards.length - 1]) + 1;
   }
 
   /**
-   * Check if due date is today or past
+   * Draw the drop indicator before the card at `index` in `list`. With a
+   * `height` it is drawn as a card-sized placeholder (used by touch drag).
    */
-  function isDueSoon(dateStr) {
-    try {
-      const due = new Date(dateStr + "T00:00:00");
-      const now = new Date();
+  function showDropIndicator(list, index, height) {
+    let indicator = boardEl.querySelector(".drop-indicator");
+    if (!indicator) {
+      indicator = document.createElement("div");
+      indicator.className = "drop-indicator";
+    }
+    indicator.classList.toggle("placeholder", height !== undefined);
+    indicator.style.height = height !== undefined ? `${height}px` : "";
+    const cards = list.querySelectorAll(".task-card:not(.dragging)");
+    const before = cards[index] || null;
+    if (indicator.parentNode !== list || indicator.nextSibling !== before) {
+      list.insertBefore(indicator, before);
+    }
+  }
+
+  /**
+   * Remove the drop indicator
+   */
+  function hideDropIndicator() {
+    const indicator = boardEl.querySelector(".drop-indicator");
+    if (indicator) {
+      indicator.remove();
+    }
+  }
+
+  /**
+   * Start watching for a long press on a card. Moving the finger before the
+   * press completes is treated as a scroll and cancels the drag.
+   */
+  function onCardTouchStart(e, card, task) {
+    if (e.touches.length !== 1 || touchDrag || !canEditBoard()) return;
+    const touch = e.touches[0];
+    // Keep the browser's own drag and drop out of the way for touch input
+    card.draggable = false;
+    card.classList.add("pressing");
+    touchDrag = {
+      task,
+      card,
+      startX: touch.clientX,
+      startY: touch.clientY,
+      x: touch.clientX,
+      y: touch.clientY,
+      active: false,
+      target: null,
+      timer: setTimeout(beginTouchDrag, LONG_PRESS_MS),
+      scrollFrame: null,
+    };
+  }
+
+  /**
+   * The long press completed: lift the card and follow the finger
+   */
+  function beginTouchDrag() {
+    const drag = touchDrag;
+    if (!drag) return;
+    const rect = drag.card.getBoundingClientRect();
+    const ghost = drag.card.cloneNode(true);
+    ghost.classList.remove("pressing");
+    ghost.classList.add("drag-ghost");
+    ghost.style.width = `${rect.width}px`;
+    document.getElementById("appWrapper").appendChild(ghost);
+    drag.ghost = ghost;
+    drag.offsetX = drag.startX - rect.left;
+    drag.offsetY = drag.startY - rect.top;
+    drag.height = rect.height;
+    drag.active = true;
+    drag.card.classList.remove("pressing");
+    drag.card.classList.add("dragging", "touch-source");
+    if (navigator.vibrate) navigator.vibrate(15);
+    positionGhost();
+    updateTouchTarget();
+    drag.scrollFrame = requestAnimationFrame(autoScroll);
+  }
+
+  /**
+   * Track the finger: cancel a pending long press if it moved too far,
+   * otherwise move the lifted card and its placeholder
+   */
+  function onTouchMove(e) {
+    if (!touchDrag) return;
+    const touch = e.touches[0];
+    touchDrag.x = touch.clientX;
+    touchDrag.y = touch.clientY;
+    if (!touchDrag.active) {
+      const moved = Math.hypot(touchDrag.x - touchDrag.startX, touchDrag.y - touchDrag.startY);
+      if (moved > TOUCH_SLOP) finishTouchDrag();
+      return;
+    }
+    e.preventDefault();
+    positionGhost();
+    updateTouchTarget();
+  }
+
+  /**
+   * Drop the lifted card through the same moveTask path as desktop drag
+   */
+  function onTouchEnd(e) {
+    if (!touchDrag) return;
+    const drag = touchDrag;
+    finishTouchDrag();
+    if (drag.active && drag.target) {
+      // Stop the emulated click from opening the modal on the dropped card
+      e.preventDefault();
+      if (drag.target.day !== undefined) {
+        rescheduleTask(drag.task.id, drag.target.day);
+        return;
+      }
+      const { list, status, slot } = drag.target;
+      moveTask(drag.task.id, status, taskIndexForSlot(list, slot, drag.task));
+      renderBoard();
+    }
+  }
+
+  /**
+   * Cancel or clean up after a touch drag
+   */
+  function finishTouchDrag() {
+    const drag = touchDrag;
+    if (!drag) return;
+    touchDrag = null;
+    clearTimeout(drag.timer);
+    if (drag.scrollFrame) cancelAnimationFrame(drag.scrollFrame);
+    if (drag.ghost) drag.ghost.remove();
+    drag.card.classList.remove("pressing", "dragging", "touch-source");
+    drag.card.draggable = true;
+    hideDropIndicator();
+    markCalendarDrop(null);
+  }
+
+  /**
+   * Keep the lifted card under the finger
+   */
+  function positionGhost() {
+    const { ghost, x, y, offsetX, offsetY } = touchDrag;
+    ghost.style.transform = `translate(${x - offsetX}px, ${y - offsetY}px) rotate(2deg)`;
+  }
+
+  /**
+   * Work out which column and slot are under the finger and move the
+   * placeholder there. A short vibration marks entering another column.
+   */
+  function updateTouchTarget() {
+    const el = document.elementFromPoint(touchDrag.x, touchDrag.y);
+    if (layout === "calendar") {
+      const day = el && el.closest("[data-day]");
+      if (!day) return;
+      touchDrag.target = { day: day.dataset.day };
+      markCalendarDrop(day);
+      return;
+    }
+    const col = el && el.closest(".column");
+    if (!col) return;
+    const list = col.querySelector(".tasks-list");
+    const slot = dropIndexAt(list, touchDrag.y);
+    const status = col.dataset.status;
+    if (touchDrag.target && touchDrag.target.status !== status && navigator.vibrate) {
+      navigator.vibrate(8);
+    }
+    touchDrag.target = { list, status, slot };
+    showDropIndicator(list, slot, touchDrag.height);
+  }
+
+  /**
+   * Scroll the board while the finger rests near one of its edges, so
+   * stacked columns further down (or across) can be reached
+   */
+  function autoScroll() {
+    if (!touchDrag || !touchDrag.active) return;
+    const scroller = layout === "calendar" ? calendarEl : boardEl;
+    const rect = scroller.getBoundingClientRect();
+    const { x, y } = touchDrag;
+    let dx = 0;
+    let dy = 0;
+    if (y < rect.top + AUTO_SCROLL_EDGE) dy = -AUTO_SCROLL_SPEED;
+    else if (y > rect.bottom - AUTO_SCROLL_EDGE) dy = AUTO_SCROLL_SPEED;
+    if (x < rect.left + AUTO_SCROLL_EDGE) dx = -AUTO_SCROLL_SPEED;
+    else if (x > rect.right - AUTO_SCROLL_EDGE) dx = AUTO_SCROLL_SPEED;
+    if (dx || dy) {
+      scroller.scrollBy(dx, dy);
+      updateTouchTarget();
+    }
+    touchDrag.scrollFrame = requestAnimationFrame(autoScroll);
+  }
+
+  /**
+   * Create a DOM element for a task card
+   * @param {Object} task
+   */
+  function createTaskCard(task) {
+    const card = document.createElement("div");
+    card.className = "task-card";
+    card.setAttribute("draggable", String(canEditBoard()));
+    card.dataset.id = task.id;
+    card.dataset.status = task.status;
+    const done = columnStore.isDone(columns, task.status);
+    if (done) {
+      card.dataset.done = "true";
+    }
+    // Title
+    const titleEl = document.createElement("p");
+    titleEl.className = "task-title";
+    titleEl.textContent = task.title;
+    if (done) {
+      titleEl.classList.add("done");
+    }
+    // Meta row
+    const meta = document.createElement("div");
+    meta.className = "meta-row";
+    // Priority dot and label
+    if (task.priority) {
+      const dot = document.createElement("span");
+      dot.className = `priority-dot ${task.priority}`;
+      meta.appendChild(dot);
+    }
+    // Due pill
+    if (task.due) {
+      const pill = document.createElement("span");
+      pill.className = "due-pill";
+      pill.textContent = formatDueLabel(task.due, task.dueTime);
+      if (isDueSoon(task.due)) {
+        pill.classList.add("warn");
+      }
+      meta.appendChild(pill);
+    }
+    // Reminder indicator
+    if (task.reminders && task.reminders.length > 0) {
+      const bell = document.createElement("span");
+      bell.className = "reminder-indicator";
+      bell.textContent = "🔔";
+      bell.title = `Reminder: ${reminders.describe(task.reminders)}`;
+      meta.appendChild(bell);
+    }
+    // Repeat indicator
+    if (task.recurrence) {
+      const repeatEl = document.createElement("span");
+      repeatEl.className = "repeat-indicator";
+      repeatEl.textContent = "↻";
+      repeatEl.title = recurrence.describe(task.recurrence);
+      repeatEl.setAttribute("aria-label", `Repeats: ${recurrence.describe(task.recurrence)}`);
+      meta.appendChild(repeatEl);
+    }
+    // Label chips
+    taskLabels(task).forEach((label) => {
+      meta.appendChild(createLabelChip(label));
+    });
+    // Description indicator
+    if (task.description) {
+      const note = document.createElement("span");
+      note.className = "description-indicator";
+      note.textContent = "≡";
+      note.title = "Has a description";
+      note.setAttribute("aria-label", "Has a description");
+      meta.appendChild(note);
+    }
+    // Checklist progress
+    if (task.checklist && task.checklist.length > 0) {
+      const doneCount = task.checklist.filter((item) => item.done).length;
+      const chip = document.createElement("span");
+      chip.className = "checklist-chip";
+      if (doneCount === task.checklist.length) {
+        chip.classList.add("complete");
+      }
+      chip.textContent = `☑ ${doneCount}/${task.checklist.length}`;
+      chip.setAttribute("aria-label", `${doneCount} of ${task.checklist.length} checklist items done`);
+      meta.appendChild(chip);
+    }
+    // Assignee avatar and name
+    if (task.owner) {
+      const ownerSpan = document.createElement("span");
+      ownerSpan.className = "owner-label";
+      ownerSpan.appendChild(createAvatar(task.owner));
+      ownerSpan.appendChild(document.createTextNode(boardStore.memberName(activeBoard(), task.owner)));
+      meta.appendChild(ownerSpan);
+    }
+    card.appendChild(titleEl);
+    if (meta.childNodes.length > 0) {
+      card.appendChild(meta);
+    }
+    if (selectMode) {
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.className = "card-select";
+      checkbox.checked = selectedIds.has(task.id);
+      checkbox.setAttribute("aria-label", `Select ${task.title}`);
+      card.insertBefore(checkbox, card.firstChild);
+    }
+    card.classList.toggle("selected", selectedIds.has(task.id));
+    // Shift/Ctrl/Cmd-click, or any click in selection mode, selects instead of opening
+    card.addEventListener("click", (e) => {
+      if (canEditBoard() && (selectMode || e.shiftKey || e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        toggleSelected(task.id);
+        return;
+      }
+      openTaskModal(task.id);
+    });
+    card.addEventListener("dragstart", (e) => {
+      card.classList.add("dragging");
+      e.dataTransfer.setData("text/plain", task.id);
+      e.dataTransfer.effectAllowed = "move";
+    });
+    card.addEventListener("dragend", () => {
+      card.classList.remove("dragging");
+      hideDropIndicator();
+    });
+    card.addEventListener("touchstart", (e) => onCardTouchStart(e, card, task), { passive: true });
+    return card;
+  }
+
+  /**
+   * "1 task" or "3 tasks"
+   * @param {number} n
+   */
+  function countOf(n) {
+    return `${n} ${n === 1 ? "task" : "tasks"}`;
+  }
+
+  /**
+   * Show the board or the calendar, and remember the choice
+   * @param {string} value "board" or "calendar"
+   */
+  function setLayout(value) {
+    layout = value;
+    saveLayout();
+    renderBoard();
+  }
+
+  /**
+   * Remember the layout and calendar period for next time
+   */
+  function saveLayout() {
+    storage.set("layout", { view: layout, mode: calendarMode });
+  }
+
+  /**
+   * Show the previous (-1) or next (1) month or week, or today's (0)
+   * @param {number} step
+   */
+  function moveCalendar(step) {
+    calendarAnchor = step === 0 ? new Date() : calendar.shift(calendarAnchor, calendarMode, step);
+    renderBoard();
+  }
+
+  /**
+   * Render the calendar: the tasks the filter shows on their due days, and
+   * those without a due date in the unscheduled list
+   */
+  function renderCalendar() {
+    const shown = tasks.filter(matchesFilter);
+    const byDay = calendar.byDay(shown);
+    const days = calendar.visibleDays(calendarAnchor, calendarMode);
+    const today = dates.formatDate(new Date());
+    calendarTitleEl.textContent = calendar.title(calendarAnchor, calendarMode);
+    calendarModeSelect.value = calendarMode;
+    calendarGridEl.className = `calendar-grid ${calendarMode}`;
+    calendarGridEl.innerHTML = "";
+    // The week view names the weekday in each day instead
+    days.slice(0, calendarMode === "month" ? 7 : 0).forEach((day) => {
+      const heading = document.createElement("div");
+      heading.className = "calendar-weekday";
+      heading.textContent = dates.parseDate(day).toLocaleDateString(undefined, { weekday: "short" });
+      calendarGridEl.appendChild(heading);
+    });
+    days.forEach((day) => {
+      const date = dates.parseDate(day);
+      const cell = document.createElement("div");
+      cell.className = "calendar-day";
+      cell.dataset.day = day;
+      cell.classList.toggle("today", day === today);
+      cell.classList.toggle("outside", calendarMode === "month" && date.getMonth() !== calendarAnchor.getMonth());
+      // The date doubles as a button for adding a task due that day
+      const number = document.createElement("button");
+      number.type = "button";
+      number.className = "calendar-date";
+      number.textContent = calendarMode === "month"
+        ? date.getDate()
+        : date.toLocaleDateString(undefined, { weekday: "short", day: "numeric" });
+      number.setAttribute("aria-label", `Add a task due ${date.toLocaleDateString(undefined, { weekday: "long", month: "long", day: "numeric" })}`);
+      number.disabled = !canEditBoard();
+      number.addEventListener("click", () => {
+        openTaskModal(null);
+        taskDueInput.value = day;
+      });
+      cell.appendChild(number);
+      const dayTasks = byDay.get(day) || [];
+      const limit = calendarMode === "month" ? MONTH_CELL_TASKS : dayTasks.length;
+      dayTasks.slice(0, limit).forEach((task) => cell.appendChild(createCalendarTask(task)));
+      if (dayTasks.length > limit) {
+        // The week view has room for them all
+        cell.appendChild(createTextButton(`+${dayTasks.length - limit} more`, () => {
+          calendarMode = "week";
+          calendarAnchor = date;
+          saveLayout();
+          renderBoard();
+        }));
+      }
+      calendarGridEl.appendChild(cell);
+    });
+    unscheduledTasksEl.innerHTML = "";
+    const unscheduled = shown.filter((task) => !task.due);
+    unscheduled.forEach((task) => unscheduledTasksEl.appendChild(createCalendarTask(task)));
+    if (unscheduled.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "sheet-hint";
+      empty.textContent = "Tasks without a due date show here.";
+      unscheduledTasksEl.appendChild(empty);
+    }
+  }
+
+  /**
+   * A task as shown in the calendar: its time and title, coloured by
+   * priority. Clicking opens it; dragging it to a day reschedules it.
+   * @param {Object} task
+   */
+  function createCalendarTask(task) {
+    const item = document.createElement("div");
+    item.className = `calendar-task priority-${task.priority || "none"}`;
+    item.dataset.id = task.id;
+    item.setAttribute("draggable", String(canEditBoard()));
+    item.classList.toggle("done", columnStore.isDone(columns, task.status));
+    if (task.dueTime) {
+      const time = document.createElement("span");
+      time.className = "calendar-time";
+      time.textContent = reminders.formatTime(task.dueTime);
+      item.appendChild(time);
+    }
+    item.appendChild(document.createTextNode(task.title));
+    item.title = task.title;
+    item.addEventListener("click", () => openTaskModal(task.id));
+    item.addEventListener("dragstart", (e) => {
+      item.classList.add("dragging");
+      e.dataTransfer.setData("text/plain", task.id);
+      e.dataTransfer.effectAllowed = "move";
+    });
+    item.addEventListener("dragend", () => {
+      item.classList.remove("dragging");
+      markCalendarDrop(null);
+    });
+    item.addEventListener("touchstart", (e) => onCardTouchStart(e, item, task), { passive: true });
+    return item;
+  }
+
+  /**
+   * Highlight the day (or the unscheduled list) a task would be dropped on
+   * @param {HTMLElement|null} target
+   */
+  function markCalendarDrop(target) {
+    calendarEl.querySelectorAll(".drop-target").forEach((el) => {
+      if (el !== target) el.classList.remove("drop-target");
+    });
+    if (target) target.classList.add("drop-target");
+  }
+
+  /**
+   * Give a task another due day from the calendar; an empty day clears its
+   * due date and time
+   * @param {string} id
+   * @param {string} day `YYYY-MM-DD` or ""
+   */
+  function rescheduleTask(id, day) {
+    const task = tasks.find((t) => t.id === id);
+    if (!task || !canEditBoard() || (task.due || "") === day) return;
+    const label = day ? `Reschedule "${task.title}"` : `Unschedule "${task.title}"`;
+    trackChange(label, () => {
+      if (day) {
+        task.due = day;
+      } else {
+        delete task.due;
+        delete task.dueTime;
+      }
+      persistTasks();
+    });
+    renderBoard();
+  }
+
+  /**
+   * Turn selection mode (checkboxes on cards) on or off. Turning it off
+   * also clears the selection.
+   * @param {boolean} on
+   */
+  function setSelectMode(on) {
+    selectMode = on;
+    if (!on) selectedIds.clear();
+    selectModeBtn.setAttribute("aria-pressed", String(on));
+    renderBoard();
+  }
+
+  /**
+   * Add a task to the selection, or take it out
+   * @param {string} id
+   */
+  function toggleSelected(id) {
+    if (selectedIds.has(id)) {
+      selectedIds.delete(id);
+    } else {
+      selectedIds.add(id);
+    }
+    renderBoard();
+  }
+
+  /**
+   * Select every task the current filter shows
+   */
+  function selectAllShown() {
+    tasks.filter(matchesFilter).forEach((task) => selectedIds.add(task.id));
+    renderBoard();
+  }
+
+  /**
+   * Keep only selected tasks that still exist and match the filter, so
+   * batch actions never touch cards that aren't on screen
+   */
+  function pruneSelection() {
+    const shown = new Set(tasks.filter(matchesFilter).map((task) => task.id));
+    selectedIds = new Set(Array.from(selectedIds).filter((id) => shown.has(id)));
+  }
+
+  /**
+   * Show the batch action bar while selecting, with the board's columns
+   * and members as choices
+   */
+  function renderSelectionBar() {
+    const visible = selectMode || selectedIds.size > 0;
+    selectionBarEl.classList.toggle("hidden", !visible);
+    if (!visible) return;
+    selectionCountEl.textContent = selectedIds.size > 0
+      ? `${countOf(selectedIds.size)} selected`
+      : "Tap cards to select them";
+    const board = activeBoard();
+    fillSelect(bulkMoveSelect, "Move to…", columns.map((c) => [c.key, c.label]));
+    fillSelect(bulkOwnerSelect, "Assign to…", board.members.map((m) => [m.email, boardStore.memberName(board, m.email)]));
+    bulkPrioritySelect.value = "";
+    bulkDueInput.value = "";
+    selectionBarEl.querySelectorAll("select, input, #bulkClearDueBtn, #bulkDeleteBtn").forEach((control) => {
+      control.disabled = selectedIds.size === 0;
+    });
+  }
+
+  /**
+   * Change every selected task as one undoable step
+   * @param {string} label for the undo history
+   * @param {Function} update called with each selected task
+   */
+  function bulkUpdate(label, update) {
+    const selected = tasks.filter((task) => selectedIds.has(task.id));
+    if (selected.length === 0 || !canEditBoard()) return;
+    trackChange(label, () => {
+      selected.forEach(update);
+      persistTasks();
+    });
+    renderBoard();
+  }
+
+  /**
+   * Move the selected tasks to the bottom of a column, keeping their order.
+   * Completing recurring tasks adds their next occurrences.
+   * @param {string} key
+   */
+  function bulkMove(key) {
+    const col = columns.find((c) => c.key === key);
+    const selected = tasks.filter((task) => selectedIds.has(task.id) && task.status !== key);
+    if (!col || selected.length === 0 || !canEditBoard()) {
+      renderBoard();
+      return;
+    }
+    let added = 0;
+    const command = trackChange(`Move ${countOf(selected.length)} to ${col.label}`, () => {
+      selected.sort((a, b) => tasksInColumn(a.status).indexOf(a) - tasksInColumn(b.status).indexOf(b));
+      selected.forEach((task) => {
+        const completing = col.done && !columnStore.isDone(columns, task.status);
+        task.position = nextPosition(key);
+        task.status = key;
+        if (completing && spawnNextOccurrence(task)) added += 1;
+      });
+      persistTasks();
+    });
+    renderBoard();
+    const next = added > 0 ? ` ${added === 1 ? "Next one" : `${added} next ones`} added.` : "";
+    showToast(`Moved ${countOf(selected.length)} to ${col.label}.${next}`, undoButtonFor(command));
+  }
+
+  /**
+   * Delete the selected tasks as one undoable step
+   */
+  function bulkDelete() {
+    const count = selectedIds.size;
+    if (count === 0 || !canEditBoard()) return;
+    const command = trackChange(`Delete ${countOf(count)}`, () => {
+      tasks = tasks.filter((task) => !selectedIds.has(task.id));
+      persistTasks();
+    });
+    selectedIds.clear();
+    renderBoard();
+    showToast(`Deleted ${countOf(count)}.`, undoButtonFor(command));
+  }
+
+  /**
+   * Format due label
+   */
+  function formatDueLabel(dateStr, time) {
+    const date = new Date(dateStr + "T00:00:00");
+    if (isNaN(date)) return "Due";
+    const options = { month: "short", day: "numeric" };
+    const day = `Due ${date.toLocaleDateString(undefined, options)}`;
+    return time ? `${day}, ${reminders.formatTime(time)}` : day;
+  }
+
+  /**
+   * Check if due date is today or past
+   */
+  function isDueSoon(dateStr) {
+    try {
+      const due = new Date(dateStr + "T00:00:00");
+      const now = new Date();
       const dueDate = new Date(due.getFullYear(), due.getMonth(), due.getDate());
       const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
       return dueDate <= today;
@@ -389,21 +1708,62 @@
   }
 
   /**
-   * Move task to new status
+   * Move task to a status, inserting it at `index` among that column's
+   * other cards (at the bottom when no index is given). Positions in the
+   * target column are renumbered so the order is persisted. Completing a
+   * recurring task adds its next occurrence.
    */
-  function moveTask(id, newStatus) {
+  function moveTask(id, newStatus, index) {
     const task = tasks.find((t) => t.id === id);
-    if (task) {
+    if (!task) return;
+    const previousStatus = task.status;
+    const col = columns.find((c) => c.key === newStatus);
+    let message = "";
+    const command = trackChange(`Move "${task.title}"`, () => {
+      const siblings = tasksInColumn(newStatus).filter((t) => t !== task);
+      const at = index === undefined ? siblings.length : Math.max(0, Math.min(index, siblings.length));
+      siblings.splice(at, 0, task);
       task.status = newStatus;
-      if (newStatus === "done") {
-        showToast("Moved to Done.", () => {
-          task.status = "doing";
-          persistTasks();
-          renderBoard();
-        });
+      siblings.forEach((t, i) => {
+        t.position = i;
+      });
+      if (col && col.done && previousStatus !== newStatus) {
+        const next = columnStore.isDone(columns, previousStatus) ? null : spawnNextOccurrence(task);
+        message = next
+          ? `Moved to ${col.label}. Next one added (${formatDueLabel(next.due)}).`
+          : `Moved to ${col.label}.`;
       }
       persistTasks();
-    }
+    });
+    if (message) showToast(message, undoButtonFor(command));
+  }
+
+  /**
+   * Add the next occurrence of a recurring task that has just been
+   * completed: a copy due on the rule's next date, in the first open
+   * column, with its checklist unticked. The rule moves to the copy so the
+   * completed task does not repeat again if it is reopened and finished.
+   * Returns the new task, or null when the task does not repeat.
+   * @param {Object} task
+   */
+  function spawnNextOccurrence(task) {
+    if (!task.recurrence) return null;
+    const due = recurrence.nextDue(task.recurrence, task.due);
+    if (!due) return null;
+    const status = (columns.find((c) => !c.done) || columns[0]).key;
+    const next = {
+      ...task,
+      id: createId(),
+      due,
+      status,
+      checklist: (task.checklist || []).map((item) => ({ ...item, done: false })),
+      labels: (task.labels || []).slice(),
+      position: nextPosition(status),
+      createdAt: Date.now(),
+    };
+    delete task.recurrence;
+    tasks.push(next);
+    return next;
   }
 
   /**
@@ -414,30 +1774,47 @@
     // Reset priority selection
     setActivePriority("");
     if (id) {
-      modalTitleEl.textContent = "Edit Task";
+      modalTitleEl.textContent = canEditBoard() ? "Edit Task" : "View Task";
       const task = tasks.find((t) => t.id === id);
       if (!task) return;
       taskTitleInput.value = task.title;
       taskDueInput.value = task.due || "";
-      taskOwnerInput.value = task.owner || "";
+      taskDueTimeInput.value = task.dueTime || "";
+      setDraftReminders(task.reminders || []);
+      renderOwnerOptions(task.owner || "");
       // Set status buttons
       setActiveStatus(task.status);
       // Set priority selection
       setActivePriority(task.priority || "");
+      setDraftRecurrence(task.recurrence);
+      setDraftChecklist(task.checklist || []);
+      setDraftLabels(task.labels || []);
+      // Existing descriptions open in the read view
+      taskDescriptionInput.value = task.description || "";
+      setDescriptionMode(task.description ? "preview" : "write");
       deleteTaskBtn.style.display = "inline-flex";
+      deleteTaskBtn.disabled = !canEditBoard();
     } else {
       modalTitleEl.textContent = "Add Task";
       taskTitleInput.value = "";
       taskDueInput.value = "";
-      taskOwnerInput.value = "";
-      setActiveStatus("todo");
+      taskDueTimeInput.value = "";
+      setDraftReminders([]);
+      renderOwnerOptions(currentUser);
+      setActiveStatus(columns[0].key);
       setActivePriority("");
+      setDraftRecurrence(null);
+      setDraftChecklist([]);
+      setDraftLabels([]);
+      taskDescriptionInput.value = "";
+      setDescriptionMode("write");
       deleteTaskBtn.style.display = "none";
     }
-    overlayEl.classList.remove("hidden");
-    overlayEl.classList.add("show");
-    taskModalEl.classList.remove("hidden");
-    taskModalEl.classList.add("show");
+    // Only saved tasks have a history
+    taskTabsEl.classList.toggle("hidden", !id);
+    taskChangedNoticeEl.classList.add("hidden");
+    setTaskView("details");
+    openSheet(taskModalEl);
     setTimeout(() => {
       taskTitleInput.focus();
       updateSaveBtnState();
@@ -448,42 +1825,107 @@
    * Close modal
    */
   function closeTaskModal() {
-    taskModalEl.classList.remove("show");
-    overlayEl.classList.remove("show");
-    setTimeout(() => {
-      overlayEl.classList.add("hidden");
-      taskModalEl.classList.add("hidden");
-    }, 200);
+    closeSheet(taskModalEl);
     currentEditId = null;
   }
 
   /**
-   * Save task from modal
+   * Show a bottom sheet together with the overlay
+   * @param {HTMLElement} sheet
    */
-  function saveTask() {
+  function openSheet(sheet) {
+    overlayEl.classList.remove("hidden");
+    overlayEl.classList.add("show");
+    sheet.classList.remove("hidden");
+    sheet.classList.add("show");
+  }
+
+  /**
+   * Hide a bottom sheet and the overlay
+   * @param {HTMLElement} sheet
+   */
+  function closeSheet(sheet) {
+    if (sheet.classList.contains("hidden")) return;
+    sheet.classList.remove("show");
+    overlayEl.classList.remove("show");
+    setTimeout(() => {
+      // Another sheet may have opened in the meantime
+      if (!overlayEl.classList.contains("show")) overlayEl.classList.add("hidden");
+      if (!sheet.classList.contains("show")) sheet.classList.add("hidden");
+    }, 200);
+  }
+
+  /**
+   * Save task from modal
+   */
+  function saveTask() {
     const title = taskTitleInput.value.trim();
-    if (!title) return;
+    if (!title || !canEditBoard()) return;
+    const description = taskDescriptionInput.value.trim();
     const due = taskDueInput.value || undefined;
-    const owner = taskOwnerInput.value.trim();
+    const dueTime = reminders.normalizeTime(taskDueTimeInput.value);
+    const reminderKeys = reminders.normalize(Array.from(draftReminders));
+    const owner = getActiveOwner();
     const status = getActiveStatus();
     const priority = getActivePriority();
+    const repeat = getDraftRecurrence();
     // Require all fields to be filled
     if (!owner || !due || !priority || !status) {
       return;
     }
-    if (currentEditId) {
-      const task = tasks.find((t) => t.id === currentEditId);
-      if (task) {
+    // A task deleted in another tab while open here is saved as a new one
+    const task = currentEditId ? tasks.find((t) => t.id === currentEditId) : null;
+    if (task) {
+      const completing = !columnStore.isDone(columns, task.status) && columnStore.isDone(columns, status);
+      let next = null;
+      const command = trackChange(`Edit "${title}"`, () => {
         task.title = title;
+        task.description = description;
         task.due = due;
+        if (dueTime) {
+          task.dueTime = dueTime;
+        } else {
+          delete task.dueTime;
+        }
+        if (reminderKeys.length > 0) {
+          task.reminders = reminderKeys;
+        } else {
+          delete task.reminders;
+        }
         task.owner = owner;
+        if (task.status !== status) {
+          task.position = nextPosition(status);
+        }
         task.status = status;
         task.priority = priority;
+        task.checklist = draftChecklist;
+        task.labels = Array.from(draftLabels);
+        if (repeat) {
+          task.recurrence = repeat;
+        } else {
+          delete task.recurrence;
+        }
+        next = completing ? spawnNextOccurrence(task) : null;
         persistTasks();
-        renderBoard();
+      });
+      renderBoard();
+      if (next) {
+        showToast(`Next one added (${formatDueLabel(next.due)}).`, undoButtonFor(command));
       }
     } else {
-      addTask({ title, due, owner, status, priority });
+      addTask({
+        title,
+        description,
+        due,
+        dueTime,
+        reminders: reminderKeys,
+        owner,
+        status,
+        priority,
+        checklist: draftChecklist,
+        labels: Array.from(draftLabels),
+        recurrence: repeat,
+      });
     }
     closeTaskModal();
   }
@@ -492,18 +1934,669 @@
    * Delete current task
    */
   function deleteCurrentTask() {
-    if (!currentEditId) return;
+    if (!currentEditId || !canEditBoard()) return;
     const idx = tasks.findIndex((t) => t.id === currentEditId);
     if (idx === -1) return;
-    const removed = tasks.splice(idx, 1)[0];
+    const command = trackChange(`Delete "${tasks[idx].title}"`, () => {
+      tasks.splice(idx, 1);
+      persistTasks();
+    });
     closeTaskModal();
-    persistTasks();
     renderBoard();
-    showToast("Task deleted.", () => {
-      tasks.splice(idx, 0, removed);
-      persistTasks();
-      renderBoard();
+    showToast("Task deleted.", undoButtonFor(command));
+  }
+
+  /**
+   * Show the description as editable Markdown ("write") or as rendered,
+   * sanitised HTML ("preview")
+   * @param {string} mode
+   */
+  function setDescriptionMode(mode) {
+    const preview = mode === "preview";
+    if (preview) {
+      taskDescriptionView.innerHTML = "";
+      if (taskDescriptionInput.value.trim()) {
+        taskDescriptionView.appendChild(markdown.render(taskDescriptionInput.value));
+      } else {
+        const empty = document.createElement("p");
+        empty.className = "markdown-empty";
+        empty.textContent = "Nothing to preview.";
+        taskDescriptionView.appendChild(empty);
+      }
+    }
+    taskDescriptionInput.classList.toggle("hidden", preview);
+    taskDescriptionView.classList.toggle("hidden", !preview);
+    descriptionWriteTab.classList.toggle("active", !preview);
+    descriptionPreviewTab.classList.toggle("active", preview);
+    descriptionWriteTab.setAttribute("aria-selected", String(!preview));
+    descriptionPreviewTab.setAttribute("aria-selected", String(preview));
+  }
+
+  /**
+   * Show the task's fields ("details") or its change history ("history")
+   * @param {string} view
+   */
+  function setTaskView(view) {
+    const showHistory = view === "history";
+    if (showHistory) renderTaskHistory();
+    taskForm.classList.toggle("showing-history", showHistory);
+    taskHistoryEl.classList.toggle("hidden", !showHistory);
+    detailsTab.classList.toggle("active", !showHistory);
+    historyTab.classList.toggle("active", showHistory);
+    detailsTab.setAttribute("aria-selected", String(!showHistory));
+    historyTab.setAttribute("aria-selected", String(showHistory));
+  }
+
+  /**
+   * Display names for the columns, labels and members a history event
+   * mentions
+   */
+  function historyNames() {
+    const columnLabels = columnStore.labelMap(columns);
+    return {
+      column: (key) => columnLabels[key] || key,
+      label: (id) => (labels.find((l) => l.id === id) || { name: "deleted label" }).name,
+      member: (email) => boardStore.memberName(activeBoard(), email),
+    };
+  }
+
+  /**
+   * List the open task's history, newest first
+   */
+  function renderTaskHistory() {
+    const events = historyStore.forTask(activeBoardId, currentEditId);
+    const names = historyNames();
+    taskHistoryEl.innerHTML = "";
+    if (events.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "history-empty";
+      empty.textContent = "No changes recorded yet.";
+      taskHistoryEl.appendChild(empty);
+      return;
+    }
+    events.forEach((event) => {
+      const item = document.createElement("li");
+      item.className = "history-event";
+      const summary = document.createElement("div");
+      summary.className = "history-summary";
+      summary.textContent = historyStore.summarize(event, names);
+      const meta = document.createElement("div");
+      meta.className = "history-meta";
+      meta.textContent = `${event.actor ? names.member(event.actor) : "Someone"} · ${new Date(event.at).toLocaleString()}`;
+      item.appendChild(summary);
+      item.appendChild(meta);
+      const lines = historyStore.describe(event, names);
+      if (lines.length > 0) {
+        const changes = document.createElement("ul");
+        changes.className = "history-changes";
+        lines.forEach((line) => {
+          const li = document.createElement("li");
+          li.textContent = line;
+          changes.appendChild(li);
+        });
+        item.appendChild(changes);
+      }
+      taskHistoryEl.appendChild(item);
+    });
+  }
+
+  /**
+   * Labels attached to a task, skipping ids of labels that were deleted
+   * @param {Object} task
+   */
+  function taskLabels(task) {
+    const ids = task.labels || [];
+    return labels.filter((label) => ids.includes(label.id));
+  }
+
+  /**
+   * Whether a task passes the current search and filters
+   * @param {Object} task
+   */
+  function matchesFilter(task) {
+    return filters.matches(task, filter, (key) => columnStore.isDone(columns, key));
+  }
+
+  /**
+   * Change some filter fields and redraw the board
+   * @param {Object} changes
+   */
+  function updateFilter(changes) {
+    filter = filters.normalize({ ...filter, ...changes });
+    renderBoard();
+  }
+
+  /**
+   * The saved view whose filter is the current one, if any
+   */
+  function currentView() {
+    return views.find((view) => filters.same(view.filter, filter)) || null;
+  }
+
+  /**
+   * Replace a select's options with an empty choice plus `[value, text]` pairs
+   * @param {HTMLSelectElement} select
+   * @param {string} emptyText
+   * @param {Array} options
+   */
+  function fillSelect(select, emptyText, options) {
+    select.innerHTML = "";
+    [["", emptyText]].concat(options).forEach(([value, text]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Bring the filter bar in line with the current filter, tasks and columns,
+   * and mirror the filter in the URL so the board can be bookmarked
+   */
+  function renderFilterBar() {
+    if (searchInput.value !== filter.q) {
+      searchInput.value = filter.q;
+    }
+    // Owners come from the board's tasks, plus a filtered-on owner nobody has any more
+    const owners = new Map();
+    tasks.concat(filter.owner ? [{ owner: filter.owner }] : []).forEach((task) => {
+      const owner = (task.owner || "").trim();
+      if (owner && !owners.has(owner.toLowerCase())) owners.set(owner.toLowerCase(), owner);
+    });
+    const ownerNames = Array.from(owners.values()).sort((a, b) => a.localeCompare(b));
+    fillSelect(ownerFilterEl, "Any owner", ownerNames.map((owner) => [owner, boardStore.memberName(activeBoard(), owner)]));
+    ownerFilterEl.value = owners.get(filter.owner.toLowerCase()) || "";
+    fillSelect(statusFilterEl, "Any status", columns.map((col) => [col.key, col.label]));
+    statusFilterEl.value = columns.some((col) => col.key === filter.status) ? filter.status : "";
+    priorityFilterEl.value = filter.priority;
+    dueFilterEl.value = filter.due;
+    // Views: a saved view is selected while its filter is the current one
+    const view = currentView();
+    fillSelect(
+      viewSelect,
+      filters.isEmpty(filter) || view ? "All tasks" : "Custom filter",
+      views.map((v) => [v.id, v.name])
+    );
+    viewSelect.value = view ? view.id : "";
+    renderLabelFilter();
+    const query = filters.toQuery(filter, labels, view ? view.name : "");
+    if (query !== window.location.search) {
+      window.history.replaceState(null, "", `${window.location.pathname}${query}${window.location.hash}`);
+    }
+  }
+
+  /**
+   * Switch to a saved view, or clear every filter for ""
+   * @param {string} id
+   */
+  function applyView(id) {
+    const view = views.find((v) => v.id === id);
+    filter = view ? filters.normalize(view.filter) : filters.emptyFilter();
+    renderBoard();
+  }
+
+  /**
+   * Open the saved views sheet
+   */
+  function openViewsModal() {
+    renderViewsList();
+    const view = currentView();
+    viewNameInput.value = view ? view.name : "";
+    openSheet(viewsModalEl);
+  }
+
+  /**
+   * Close the saved views sheet
+   */
+  function closeViewsModal() {
+    closeSheet(viewsModalEl);
+  }
+
+  /**
+   * Persist view changes and refresh the sheet and the filter bar
+   */
+  function commitViews() {
+    filters.saveViews(activeBoardId, views);
+    renderViewsList();
+    renderFilterBar();
+  }
+
+  /**
+   * Render one row per saved view: open, rename, delete
+   */
+  function renderViewsList() {
+    viewsListEl.innerHTML = "";
+    if (views.length === 0) {
+      const hint = document.createElement("p");
+      hint.className = "filter-hint";
+      hint.textContent = "Search or filter the board, then save the combination here.";
+      viewsListEl.appendChild(hint);
+      return;
+    }
+    views.forEach((view) => {
+      const row = document.createElement("div");
+      row.className = "board-row";
+      const nameInput = document.createElement("input");
+      nameInput.type = "text";
+      nameInput.className = "form-input";
+      nameInput.value = view.name;
+      nameInput.maxLength = 40;
+      nameInput.setAttribute("aria-label", `Rename ${view.name}`);
+      nameInput.addEventListener("change", () => renameView(view, nameInput.value));
+      const openBtn = createTextButton("Open", () => {
+        applyView(view.id);
+        closeViewsModal();
+      });
+      const deleteBtn = createIconButton("🗑️", `Delete ${view.name}`, () => {
+        views = views.filter((v) => v !== view);
+        commitViews();
+      });
+      row.appendChild(nameInput);
+      row.appendChild(openBtn);
+      row.appendChild(deleteBtn);
+      viewsListEl.appendChild(row);
+    });
+  }
+
+  /**
+   * Save the current filter as a view, replacing one with the same name
+   * @param {string} name
+   */
+  function saveView(name) {
+    if (!name.trim()) return;
+    filters.saveView(views, name, filter);
+    viewNameInput.value = "";
+    commitViews();
+  }
+
+  /**
+   * Rename a view unless another view already uses that name
+   * @param {Object} view
+   * @param {string} name
+   */
+  function renameView(view, name) {
+    const trimmed = name.trim();
+    const clash = views.find((v) => v !== view && v.name.toLowerCase() === trimmed.toLowerCase());
+    if (!trimmed || clash) {
+      renderViewsList();
+      return;
+    }
+    view.name = trimmed;
+    commitViews();
+  }
+
+  /**
+   * A coloured chip showing a label's name
+   * @param {Object} label
+   * @param {string} [tag] element to create, "span" by default
+   */
+  function createLabelChip(label, tag) {
+    const chip = document.createElement(tag || "span");
+    chip.className = "label-chip";
+    chip.textContent = label.name;
+    chip.style.backgroundColor = label.color;
+    chip.style.color = labelStore.textColorFor(label.color);
+    return chip;
+  }
+
+  /**
+   * Render the label row of the filter bar: one toggle per label, and a
+   * button that clears every filter while any is set
+   */
+  function renderLabelFilter() {
+    labelFilterEl.innerHTML = "";
+    if (labels.length === 0) {
+      const hint = document.createElement("span");
+      hint.className = "filter-hint";
+      hint.textContent = "Add #labels to tasks to filter them here.";
+      labelFilterEl.appendChild(hint);
+    }
+    labels.forEach((label) => {
+      const chip = createLabelChip(label, "button");
+      chip.type = "button";
+      const active = filter.labels.includes(label.id);
+      chip.classList.toggle("inactive", filter.labels.length > 0 && !active);
+      chip.setAttribute("aria-pressed", String(active));
+      chip.addEventListener("click", () => {
+        updateFilter({
+          labels: active ? filter.labels.filter((id) => id !== label.id) : filter.labels.concat(label.id),
+        });
+      });
+      labelFilterEl.appendChild(chip);
+    });
+    if (!filters.isEmpty(filter)) {
+      const clearBtn = document.createElement("button");
+      clearBtn.type = "button";
+      clearBtn.className = "filter-clear";
+      clearBtn.textContent = "Clear filters";
+      clearBtn.addEventListener("click", () => applyView(""));
+      labelFilterEl.appendChild(clearBtn);
+    }
+  }
+
+  /**
+   * Replace the modal's picked labels
+   * @param {Array} ids
+   */
+  function setDraftLabels(ids) {
+    draftLabels = new Set(ids);
+    newLabelInput.value = "";
+    renderLabelOptions();
+  }
+
+  /**
+   * Render the modal's label picker: one toggle chip per label
+   */
+  function renderLabelOptions() {
+    labelOptionsEl.innerHTML = "";
+    labels.forEach((label) => {
+      const chip = createLabelChip(label, "button");
+      chip.type = "button";
+      const picked = draftLabels.has(label.id);
+      chip.classList.toggle("inactive", !picked);
+      chip.setAttribute("aria-pressed", String(picked));
+      chip.addEventListener("click", () => {
+        if (draftLabels.has(label.id)) {
+          draftLabels.delete(label.id);
+        } else {
+          draftLabels.add(label.id);
+        }
+        renderLabelOptions();
+      });
+      labelOptionsEl.appendChild(chip);
+    });
+  }
+
+  /**
+   * Create (or reuse) a label from the picker's input and pick it
+   */
+  function addLabelFromPicker() {
+    const name = newLabelInput.value.trim();
+    if (!name) return;
+    const count = labels.length;
+    const label = labelStore.createLabel(labels, name);
+    if (labels.length !== count) {
+      persistLabels();
+      renderLabelFilter();
+    }
+    draftLabels.add(label.id);
+    newLabelInput.value = "";
+    renderLabelOptions();
+  }
+
+  /**
+   * Open the label manager sheet
+   */
+  function openLabelsModal() {
+    renderLabelsList();
+    labelNameInput.value = "";
+    labelColorInput.value = labelStore.PALETTE[labels.length % labelStore.PALETTE.length];
+    openSheet(labelsModalEl);
+  }
+
+  /**
+   * Close the label manager sheet
+   */
+  function closeLabelsModal() {
+    closeSheet(labelsModalEl);
+  }
+
+  /**
+   * Persist label changes and refresh every view that shows labels
+   */
+  function commitLabels() {
+    persistLabels();
+    renderBoard();
+    renderLabelsList();
+  }
+
+  /**
+   * Render one row per label in the label manager
+   */
+  function renderLabelsList() {
+    labelsListEl.innerHTML = "";
+    labels.forEach((label) => {
+      const row = document.createElement("div");
+      row.className = "label-row";
+      const colorInput = document.createElement("input");
+      colorInput.type = "color";
+      colorInput.className = "label-color";
+      colorInput.value = label.color;
+      colorInput.setAttribute("aria-label", `Colour of ${label.name}`);
+      colorInput.addEventListener("change", () => {
+        label.color = colorInput.value;
+        commitLabels();
+      });
+      const nameInput = document.createElement("input");
+      nameInput.type = "text";
+      nameInput.className = "form-input";
+      nameInput.value = label.name;
+      nameInput.maxLength = 24;
+      nameInput.setAttribute("aria-label", `Rename ${label.name}`);
+      nameInput.addEventListener("change", () => renameLabel(label, nameInput.value));
+      const deleteBtn = createIconButton("🗑️", `Delete ${label.name}`, () => deleteLabel(label.id));
+      row.appendChild(colorInput);
+      row.appendChild(nameInput);
+      row.appendChild(deleteBtn);
+      labelsListEl.appendChild(row);
+    });
+  }
+
+  /**
+   * Add a label from the manager's form
+   */
+  function addLabel(name, color) {
+    if (!name.trim()) return;
+    labelStore.createLabel(labels, name, color);
+    labelNameInput.value = "";
+    labelColorInput.value = labelStore.PALETTE[labels.length % labelStore.PALETTE.length];
+    commitLabels();
+  }
+
+  /**
+   * Rename a label unless another label already uses that name
+   */
+  function renameLabel(label, name) {
+    const trimmed = name.trim();
+    const clash = labelStore.findByName(labels, trimmed);
+    if (!trimmed || (clash && clash !== label)) {
+      renderLabelsList();
+      return;
+    }
+    label.name = trimmed;
+    commitLabels();
+  }
+
+  /**
+   * Delete a label and take it off every task on the board
+   */
+  function deleteLabel(id) {
+    labels = labels.filter((label) => label.id !== id);
+    filter.labels = filter.labels.filter((labelId) => labelId !== id);
+    draftLabels.delete(id);
+    let changed = false;
+    tasks.forEach((task) => {
+      if (task.labels && task.labels.includes(id)) {
+        task.labels = task.labels.filter((labelId) => labelId !== id);
+        changed = true;
+      }
+    });
+    if (changed) persistTasks();
+    commitLabels();
+  }
+
+  /**
+   * Replace the modal's working checklist with a copy of `items`
+   * @param {Array} items
+   */
+  function setDraftChecklist(items) {
+    draftChecklist = items.map((item) => ({ ...item }));
+    checklistInput.value = "";
+    renderChecklist();
+  }
+
+  /**
+   * Render the working checklist: a checkbox, editable text, reorder and
+   * delete controls per item
+   */
+  function renderChecklist() {
+    checklistItemsEl.innerHTML = "";
+    draftChecklist.forEach((item, index) => {
+      const li = document.createElement("li");
+      li.className = "checklist-item";
+      if (item.done) li.classList.add("done");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = item.done;
+      checkbox.setAttribute("aria-label", `Mark "${item.text}" as done`);
+      checkbox.addEventListener("change", () => {
+        item.done = checkbox.checked;
+        renderChecklist();
+      });
+      const textInput = document.createElement("input");
+      textInput.type = "text";
+      textInput.className = "checklist-text";
+      textInput.value = item.text;
+      textInput.maxLength = 100;
+      textInput.setAttribute("aria-label", "Checklist item");
+      textInput.addEventListener("change", () => {
+        const text = textInput.value.trim();
+        if (text) {
+          item.text = text;
+        } else {
+          textInput.value = item.text;
+        }
+      });
+      textInput.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") e.preventDefault();
+      });
+      const upBtn = createIconButton("↑", "Move item up", () => moveChecklistItem(index, -1));
+      upBtn.disabled = index === 0;
+      const downBtn = createIconButton("↓", "Move item down", () => moveChecklistItem(index, 1));
+      downBtn.disabled = index === draftChecklist.length - 1;
+      const removeBtn = createIconButton("✕", "Delete item", () => {
+        draftChecklist.splice(index, 1);
+        renderChecklist();
+      });
+      li.appendChild(checkbox);
+      li.appendChild(textInput);
+      li.appendChild(upBtn);
+      li.appendChild(downBtn);
+      li.appendChild(removeBtn);
+      checklistItemsEl.appendChild(li);
+    });
+    const doneCount = draftChecklist.filter((item) => item.done).length;
+    checklistProgressEl.textContent = draftChecklist.length > 0 ? `${doneCount}/${draftChecklist.length}` : "";
+  }
+
+  /**
+   * Append the text in the checklist input as a new item
+   */
+  function addChecklistItem() {
+    const text = checklistInput.value.trim();
+    if (!text) return;
+    draftChecklist.push({ id: createId(), text, done: false });
+    checklistInput.value = "";
+    renderChecklist();
+    checklistInput.focus();
+  }
+
+  /**
+   * Move a checklist item one place up (-1) or down (+1)
+   */
+  function moveChecklistItem(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= draftChecklist.length) return;
+    const [item] = draftChecklist.splice(index, 1);
+    draftChecklist.splice(target, 0, item);
+    renderChecklist();
+  }
+
+  /**
+   * Add a toggle button to the task sheet for each kind of reminder
+   */
+  function renderReminderOptions() {
+    reminders.REMINDERS.forEach((option) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.dataset.reminder = option.key;
+      btn.textContent = option.label;
+      reminderOptionsEl.appendChild(btn);
+    });
+  }
+
+  /**
+   * Show a task's reminders in the sheet
+   * @param {Array} keys
+   */
+  function setDraftReminders(keys) {
+    draftReminders = new Set(reminders.normalize(keys));
+    reminderOptionsEl.querySelectorAll("button[data-reminder]").forEach((btn) => {
+      const on = draftReminders.has(btn.dataset.reminder);
+      btn.classList.toggle("active", on);
+      btn.setAttribute("aria-pressed", String(on));
+    });
+    renderReminderHint();
+  }
+
+  /**
+   * Say so when the chosen reminders can't appear as notifications
+   */
+  function renderReminderHint() {
+    const permission = reminders.permission();
+    let hint = "";
+    if (draftReminders.size > 0 && permission === "denied") {
+      hint = "Notifications are blocked for this site, so reminders only show here while the board is open.";
+    } else if (draftReminders.size > 0 && permission === "unsupported") {
+      hint = "This browser can't show notifications, so reminders only show here while the board is open.";
+    }
+    reminderHintEl.textContent = hint;
+    reminderHintEl.classList.toggle("hidden", !hint);
+  }
+
+  /**
+   * Show a repeat rule in the modal's Repeat controls (null for none)
+   * @param {Object} rule
+   */
+  function setDraftRecurrence(rule) {
+    const normalized = recurrence.normalize(rule, taskDueInput.value);
+    const type = normalized ? normalized.type : "";
+    taskRepeatSelect.value = type;
+    repeatDaysEl.querySelectorAll("button[data-day]").forEach((btn) => {
+      btn.classList.toggle("active", type === "weekly" && normalized.days.includes(Number(btn.dataset.day)));
     });
+    repeatDaysEl.classList.toggle("hidden", type !== "weekly");
+    repeatDayOfMonthInput.value = type === "monthly" ? normalized.dayOfMonth : "";
+    repeatDayOfMonthInput.classList.toggle("hidden", type !== "monthly");
+    repeatEveryInput.value = type === "interval" ? normalized.every : "";
+    repeatEveryInput.classList.toggle("hidden", type !== "interval");
+  }
+
+  /**
+   * Read the rule from the modal's Repeat controls (null for none)
+   */
+  function getDraftRecurrence() {
+    if (!taskRepeatSelect.value) return null;
+    const days = Array.from(repeatDaysEl.querySelectorAll("button[data-day].active"))
+      .map((btn) => Number(btn.dataset.day));
+    return recurrence.normalize(
+      {
+        type: taskRepeatSelect.value,
+        days,
+        dayOfMonth: repeatDayOfMonthInput.value,
+        every: repeatEveryInput.value,
+      },
+      taskDueInput.value
+    );
+  }
+
+  /**
+   * Unique id for new tasks and checklist items. Members of a shared board
+   * add tasks on their own devices, so ids must not collide between them.
+   */
+  function createId() {
+    if (window.crypto && typeof window.crypto.randomUUID === "function") return window.crypto.randomUUID();
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 12);
   }
 
   /**
@@ -525,6 +2618,23 @@
     return priorityOptions.dataset.value || undefined;
   }
 
+  /**
+   * Rebuild the modal's status buttons from the column definition
+   */
+  function renderStatusOptions() {
+    const current = statusOptions.dataset.value;
+    statusOptions.innerHTML = "";
+    columns.forEach((col) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.dataset.status = col.key;
+      btn.setAttribute("aria-label", col.label);
+      btn.textContent = col.label;
+      statusOptions.appendChild(btn);
+    });
+    setActiveStatus(current);
+  }
+
   /**
    * Status selection helpers
    */
@@ -549,15 +2659,1011 @@
   function updateSaveBtnState() {
     const title = taskTitleInput.value.trim();
     const due = taskDueInput.value;
-    const owner = taskOwnerInput.value.trim();
+    const owner = getActiveOwner();
     const priority = getActivePriority();
     const status = getActiveStatus();
     const allFilled = title && owner && due && priority && status;
     if (saveTaskBtn) {
-      saveTaskBtn.disabled = !allFilled;
+      saveTaskBtn.disabled = !allFilled || !canEditBoard();
     }
   }
 
+  /**
+   * Fill the assignee picker with the board's members, plus the current
+   * value when it is not a member (an owner typed in before members
+   * existed, or someone since removed), and select `value`
+   * @param {string} value email of the assignee
+   */
+  function renderOwnerOptions(value) {
+    const board = activeBoard();
+    const emails = board.members.map((m) => m.email);
+    if (value && !emails.includes(value)) emails.push(value);
+    ownerOptionsEl.innerHTML = "";
+    emails.forEach((email) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "owner-option";
+      btn.dataset.owner = email;
+      btn.appendChild(createAvatar(email));
+      btn.appendChild(document.createTextNode(boardStore.memberName(board, email)));
+      btn.title = email;
+      btn.disabled = !canEditBoard();
+      ownerOptionsEl.appendChild(btn);
+    });
+    setActiveOwner(emails.includes(value) ? value : "");
+  }
+
+  /**
+   * Assignee selection helpers
+   */
+  function setActiveOwner(value) {
+    ownerOptionsEl.querySelectorAll("button[data-owner]").forEach((btn) => {
+      btn.classList.toggle("active", btn.dataset.owner === value);
+      btn.setAttribute("aria-pressed", String(btn.dataset.owner === value));
+    });
+    ownerOptionsEl.dataset.value = value || "";
+  }
+  function getActiveOwner() {
+    return ownerOptionsEl.dataset.value || "";
+  }
+
+  /**
+   * A round badge with a person's initials
+   * @param {string} email
+   */
+  function createAvatar(email) {
+    const name = boardStore.memberName(activeBoard(), email);
+    const avatar = document.createElement("span");
+    avatar.className = "avatar";
+    avatar.textContent = boardStore.initials(name);
+    avatar.setAttribute("aria-hidden", "true");
+    return avatar;
+  }
+
+  /**
+   * Open the column manager sheet
+   */
+  function openColumnsModal() {
+    renderColumnsList();
+    newColumnInput.value = "";
+    openSheet(columnsModalEl);
+  }
+
+  /**
+   * Close the column manager sheet
+   */
+  function closeColumnsModal() {
+    closeSheet(columnsModalEl);
+  }
+
+  /**
+   * Apply a change to the column layout and refresh every view of it
+   */
+  function commitColumns() {
+    persistColumns();
+    renderStatusOptions();
+    renderBoard();
+    renderColumnsList();
+  }
+
+  /**
+   * Render one row per column in the column manager
+   */
+  function renderColumnsList() {
+    columnsListEl.innerHTML = "";
+    columns.forEach((col, index) => {
+      const row = document.createElement("div");
+      row.className = "column-row";
+      row.dataset.key = col.key;
+      const nameInput = document.createElement("input");
+      nameInput.type = "text";
+      nameInput.className = "form-input";
+      nameInput.value = col.label;
+      nameInput.maxLength = 40;
+      nameInput.setAttribute("aria-label", `Rename ${col.label}`);
+      nameInput.addEventListener("change", () => renameColumn(col.key, nameInput.value));
+      const doneLabel = document.createElement("label");
+      doneLabel.className = "column-done-toggle";
+      const doneRadio = document.createElement("input");
+      doneRadio.type = "radio";
+      doneRadio.name = "doneColumn";
+      doneRadio.checked = col.done;
+      doneRadio.addEventListener("change", () => setDoneColumn(col.key));
+      doneLabel.appendChild(doneRadio);
+      doneLabel.appendChild(document.createTextNode("Done"));
+      const upBtn = createIconButton("↑", `Move ${col.label} earlier`, () => moveColumn(col.key, -1));
+      upBtn.disabled = index === 0;
+      const downBtn = createIconButton("↓", `Move ${col.label} later`, () => moveColumn(col.key, 1));
+      downBtn.disabled = index === columns.length - 1;
+      const deleteBtn = createIconButton("🗑️", `Delete ${col.label}`, () => confirmDeleteColumn(row, col));
+      deleteBtn.disabled = columns.length === 1;
+      row.appendChild(nameInput);
+      row.appendChild(doneLabel);
+      row.appendChild(upBtn);
+      row.appendChild(downBtn);
+      row.appendChild(deleteBtn);
+      columnsListEl.appendChild(row);
+    });
+  }
+
+  /**
+   * Small helper for the icon buttons used in the column manager
+   */
+  function createIconButton(text, label, onClick) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "icon-button";
+    btn.textContent = text;
+    btn.setAttribute("aria-label", label);
+    btn.addEventListener("click", onClick);
+    return btn;
+  }
+
+  /**
+   * Add a new column at the end of the board
+   */
+  function addColumn(label) {
+    const name = label.trim();
+    if (!name) return;
+    columns.push({ key: columnStore.createKey(name, columns), label: name, done: false });
+    newColumnInput.value = "";
+    commitColumns();
+  }
+
+  /**
+   * Rename a column; the key (and therefore task statuses) stays the same
+   */
+  function renameColumn(key, label) {
+    const col = columns.find((c) => c.key === key);
+    const name = label.trim();
+    if (!col || !name || col.label === name) {
+      renderColumnsList();
+      return;
+    }
+    col.label = name;
+    commitColumns();
+  }
+
+  /**
+   * Move a column one place earlier (-1) or later (+1)
+   */
+  function moveColumn(key, offset) {
+    const idx = columns.findIndex((c) => c.key === key);
+    const target = idx + offset;
+    if (idx === -1 || target < 0 || target >= columns.length) return;
+    const [col] = columns.splice(idx, 1);
+    columns.splice(target, 0, col);
+    commitColumns();
+  }
+
+  /**
+   * Mark a single column as the done column
+   */
+  function setDoneColumn(key) {
+    columns.forEach((col) => {
+      col.done = col.key === key;
+    });
+    commitColumns();
+  }
+
+  /**
+   * Delete a column straight away when it is empty, otherwise ask which
+   * column its tasks should move to
+   */
+  function confirmDeleteColumn(row, col) {
+    const count = tasks.filter((t) => t.status === col.key).length;
+    if (count === 0) {
+      deleteColumn(col.key);
+      return;
+    }
+    row.innerHTML = "";
+    row.classList.add("confirm");
+    const text = document.createElement("span");
+    text.textContent = `Move ${count} task${count === 1 ? "" : "s"} to`;
+    const select = document.createElement("select");
+    select.className = "form-input";
+    select.setAttribute("aria-label", "Destination column");
+    columns
+      .filter((c) => c.key !== col.key)
+      .forEach((c) => {
+        const option = document.createElement("option");
+        option.value = c.key;
+        option.textContent = c.label;
+        select.appendChild(option);
+      });
+    const confirmBtn = document.createElement("button");
+    confirmBtn.type = "button";
+    confirmBtn.className = "destructive-button";
+    confirmBtn.textContent = `Delete ${col.label}`;
+    confirmBtn.addEventListener("click", () => deleteColumn(col.key, select.value));
+    const cancelBtn = document.createElement("button");
+    cancelBtn.type = "button";
+    cancelBtn.className = "secondary-button";
+    cancelBtn.textContent = "Cancel";
+    cancelBtn.addEventListener("click", renderColumnsList);
+    row.appendChild(text);
+    row.appendChild(select);
+    row.appendChild(confirmBtn);
+    row.appendChild(cancelBtn);
+  }
+
+  /**
+   * Remove a column, migrating its tasks into `targetKey`
+   */
+  function deleteColumn(key, targetKey) {
+    if (columns.length === 1) return;
+    columns = columns.filter((c) => c.key !== key);
+    if (filter.status === key) {
+      filter.status = "";
+    }
+    const moved = tasksInColumn(key);
+    if (columnStore.reconcileTasks(columns, tasks, targetKey)) {
+      // Keep the migrated cards in order, below the destination's own cards
+      if (moved.length > 0) {
+        const destination = tasksInColumn(moved[0].status).filter((t) => !moved.includes(t));
+        destination.concat(moved).forEach((task, i) => {
+          task.position = i;
+        });
+      }
+      persistTasks();
+    }
+    commitColumns();
+  }
+
+  /**
+   * Fill the header's board switcher with the non-archived boards
+   */
+  function renderBoardSwitcher() {
+    boardSelect.innerHTML = "";
+    boardStore.activeBoards(boards).forEach((board) => {
+      const option = document.createElement("option");
+      option.value = board.id;
+      option.textContent = board.name;
+      boardSelect.appendChild(option);
+    });
+    boardSelect.value = activeBoardId;
+  }
+
+  /**
+   * Show another board
+   * @param {string} boardId
+   */
+  function switchBoard(boardId) {
+    if (!boards.some((b) => b.id === boardId)) return;
+    closeTaskModal();
+    activeBoardId = boardId;
+    boardStore.setActiveBoardId(boardId);
+    loadTasks();
+    renderBoard();
+    renderBoardSwitcher();
+  }
+
+  /**
+   * Open a task, switching to its board first when it is on another one
+   * @param {string} boardId
+   * @param {string} taskId
+   */
+  function openTaskOnBoard(boardId, taskId) {
+    if (boardId !== activeBoardId) switchBoard(boardId);
+    if (tasks.some((t) => t.id === taskId)) {
+      openTaskModal(taskId);
+    } else {
+      showToast("That task no longer exists.");
+    }
+  }
+
+  /**
+   * Open the task named in the URL fragment (`#board=…&task=…`, as
+   * reminder notifications link to), then drop the fragment
+   * @returns {boolean} whether the URL named a task
+   */
+  function openLinkedTask() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const taskId = params.get("task");
+    if (!taskId) return false;
+    window.history.replaceState(null, "", `${window.location.pathname}${window.location.search}`);
+    openTaskOnBoard(params.get("board") || activeBoardId, taskId);
+    return true;
+  }
+
+  /**
+   * Show the open tasks that are overdue or due today, on every board. Only
+   * the first time the board is opened each day, and only if there are any.
+   */
+  function showDigest() {
+    if (!reminders.takeDigest()) return;
+    const { overdue, today } = reminders.digest();
+    if (overdue.length === 0 && today.length === 0) return;
+    digestListEl.innerHTML = "";
+    [["Overdue", overdue], ["Due today", today]].forEach(([heading, entries]) => {
+      if (entries.length === 0) return;
+      const title = document.createElement("h3");
+      title.className = "digest-heading";
+      title.textContent = `${heading} (${entries.length})`;
+      digestListEl.appendChild(title);
+      entries.forEach(({ board, task }) => {
+        const item = document.createElement("button");
+        item.type = "button";
+        item.className = "digest-item";
+        const name = document.createElement("span");
+        name.textContent = task.title;
+        const meta = document.createElement("span");
+        meta.className = "digest-meta";
+        meta.textContent = `${reminders.dueText(task)} · ${board.name}`;
+        item.append(name, meta);
+        item.addEventListener("click", () => {
+          closeSheet(digestModalEl);
+          openTaskOnBoard(board.id, task.id);
+        });
+        digestListEl.appendChild(item);
+      });
+    });
+    openSheet(digestModalEl);
+  }
+
+  /**
+   * Open the board manager sheet
+   */
+  function openBoardsModal() {
+    renderBoardsList();
+    newBoardInput.value = "";
+    openSheet(boardsModalEl);
+  }
+
+  /**
+   * Close the board manager sheet
+   */
+  function closeBoardsModal() {
+    closeSheet(boardsModalEl);
+  }
+
+  /**
+   * Persist the board list and refresh the switcher and manager
+   */
+  function commitBoards() {
+    boardStore.saveBoards(boards);
+    renderBoardSwitcher();
+    renderBoardsList();
+  }
+
+  /**
+   * Render one row per board (archived ones last) in the board manager
+   */
+  function renderBoardsList() {
+    boardsListEl.innerHTML = "";
+    const ordered = boardStore.activeBoards(boards).concat(boards.filter((b) => b.archived));
+    ordered.forEach((board) => {
+      const row = document.createElement("div");
+      row.className = "board-row";
+      if (board.archived) row.classList.add("archived");
+      const nameInput = document.createElement("input");
+      nameInput.type = "text";
+      nameInput.className = "form-input";
+      nameInput.value = board.name;
+      nameInput.maxLength = 40;
+      nameInput.setAttribute("aria-label", `Rename ${board.name}`);
+      // Only owners rename shared boards
+      nameInput.disabled = boardStore.roleOf(board, currentUser) !== "owner";
+      nameInput.addEventListener("change", () => renameBoard(board.id, nameInput.value));
+      row.appendChild(nameInput);
+      if (board.archived) {
+        row.appendChild(createTextButton("Restore", () => setBoardArchived(board.id, false)));
+      } else {
+        const openBtn = createTextButton("Open", () => {
+          switchBoard(board.id);
+          closeBoardsModal();
+        });
+        openBtn.disabled = board.id === activeBoardId;
+        const archiveBtn = createTextButton("Archive", () => setBoardArchived(board.id, true));
+        archiveBtn.disabled = boardStore.activeBoards(boards).length === 1;
+        row.appendChild(openBtn);
+        row.appendChild(archiveBtn);
+      }
+      boardsListEl.appendChild(row);
+    });
+  }
+
+  /**
+   * Small helper for the text buttons used in the board manager
+   */
+  function createTextButton(text, onClick) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "secondary-button";
+    btn.textContent = text;
+    btn.addEventListener("click", onClick);
+    return btn;
+  }
+
+  /**
+   * Create a board with the default columns and switch to it
+   */
+  function addBoard(name) {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    const board = boardStore.createBoard(boards, trimmed, currentUser);
+    newBoardInput.value = "";
+    commitBoards();
+    switchBoard(board.id);
+    renderBoardsList();
+  }
+
+  /**
+   * Rename a board
+   */
+  function renameBoard(boardId, name) {
+    const board = boards.find((b) => b.id === boardId);
+    const trimmed = name.trim();
+    if (!board || !trimmed || board.name === trimmed || boardStore.roleOf(board, currentUser) !== "owner") {
+      renderBoardsList();
+      return;
+    }
+    board.name = trimmed;
+    commitBoards();
+  }
+
+  /**
+   * Archive or restore a board. Archiving the board on screen switches to
+   * another open board; the last open board cannot be archived.
+   */
+  function setBoardArchived(boardId, archived) {
+    const board = boards.find((b) => b.id === boardId);
+    if (!board) return;
+    if (archived && boardStore.activeBoards(boards).length === 1) return;
+    board.archived = archived;
+    commitBoards();
+    if (archived && boardId === activeBoardId) {
+      switchBoard(boardStore.getActiveBoardId(boards));
+      renderBoardsList();
+    }
+  }
+
+  /**
+   * The board on screen
+   */
+  function activeBoard() {
+    return boards.find((b) => b.id === activeBoardId);
+  }
+
+  /**
+   * Whether the signed-in user may change the board on screen
+   */
+  function canEditBoard() {
+    return boardStore.canEdit(activeBoard(), currentUser);
+  }
+
+  /**
+   * Make the page read-only for viewers: no quick add, drag and drop,
+   * column or label changes, or imports
+   */
+  function applyAccess() {
+    const editable = canEditBoard();
+    quickAddInput.disabled = !editable;
+    quickAddBtn.disabled = !editable;
+    quickAddInput.placeholder = editable ? quickAddPlaceholder : "View only: ask an owner of this board for edit access";
+    document.getElementById("columnsBtn").classList.toggle("hidden", !editable);
+    document.getElementById("labelsBtn").classList.toggle("hidden", !editable);
+    // Selecting is for the board; the calendar opens tasks on click
+    selectModeBtn.classList.toggle("hidden", !editable || layout === "calendar");
+    if (!editable || layout === "calendar") {
+      selectMode = false;
+      selectedIds.clear();
+      selectModeBtn.setAttribute("aria-pressed", "false");
+    }
+    importFileInput.disabled = !editable;
+  }
+
+  /**
+   * Open the member list of the board on screen
+   */
+  function openMembersModal() {
+    memberEmailInput.value = "";
+    memberNameInput.value = "";
+    memberRoleSelect.value = "editor";
+    renderMembersList();
+    openSheet(membersModalEl);
+  }
+
+  /**
+   * Close the member list
+   */
+  function closeMembersModal() {
+    closeSheet(membersModalEl);
+  }
+
+  /**
+   * Render one row per member: avatar, name, role and (for owners) a remove
+   * button. The last owner can be neither demoted nor removed.
+   */
+  function renderMembersList() {
+    const board = activeBoard();
+    const manager = boardStore.roleOf(board, currentUser) === "owner";
+    const owners = board.members.filter((m) => m.role === "owner").length;
+    membersHintEl.textContent = manager
+      ? "Editors can change tasks; viewers can only look. Members get the board through the sync server, so turn on sync from ☁️ to share it."
+      : "Only the board's owners can change who is on it.";
+    addMemberForm.classList.toggle("hidden", !manager);
+    membersListEl.innerHTML = "";
+    board.members.forEach((member) => {
+      const row = document.createElement("div");
+      row.className = "member-row";
+      row.appendChild(createAvatar(member.email));
+      const who = document.createElement("span");
+      who.className = "member-name";
+      who.textContent = member.email === currentUser
+        ? `${boardStore.memberName(board, member.email)} (you)`
+        : boardStore.memberName(board, member.email);
+      who.title = member.email;
+      row.appendChild(who);
+      const lastOwner = member.role === "owner" && owners === 1;
+      const roleSelect = document.createElement("select");
+      roleSelect.className = "form-input";
+      roleSelect.setAttribute("aria-label", `Role of ${member.email}`);
+      boardStore.ROLES.forEach((role) => {
+        const option = document.createElement("option");
+        option.value = role;
+        option.textContent = role.charAt(0).toUpperCase() + role.slice(1);
+        roleSelect.appendChild(option);
+      });
+      roleSelect.value = member.role;
+      roleSelect.disabled = !manager || lastOwner;
+      roleSelect.addEventListener("change", () => setMemberRole(member.email, roleSelect.value));
+      row.appendChild(roleSelect);
+      if (manager) {
+        const removeBtn = createIconButton("✕", `Remove ${member.email}`, () => removeMember(member.email));
+        removeBtn.disabled = lastOwner;
+        row.appendChild(removeBtn);
+      }
+      membersListEl.appendChild(row);
+    });
+  }
+
+  /**
+   * Add someone to the board on screen, or update their name and role if
+   * they are already on it
+   * @param {string} email
+   * @param {string} name
+   * @param {string} role
+   */
+  function addMember(email, name, role) {
+    const address = email.trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+      showToast("Enter the new member's email address.");
+      return;
+    }
+    const board = activeBoard();
+    const existing = board.members.find((m) => m.email === address);
+    if (existing) {
+      existing.name = name.trim() || existing.name;
+      setMemberRole(address, role);
+    } else {
+      board.members.push({ email: address, name: name.trim(), role });
+      commitBoards();
+    }
+    memberEmailInput.value = "";
+    memberNameInput.value = "";
+    renderMembersList();
+    renderBoard();
+  }
+
+  /**
+   * Change a member's role, keeping at least one owner
+   * @param {string} email
+   * @param {string} role
+   */
+  function setMemberRole(email, role) {
+    const board = activeBoard();
+    const member = board.members.find((m) => m.email === email);
+    if (!member) return;
+    const otherOwners = board.members.filter((m) => m.role === "owner" && m !== member).length;
+    if (role !== "owner" && otherOwners === 0) {
+      showToast("A board needs at least one owner.");
+    } else {
+      member.role = role;
+      commitBoards();
+    }
+    renderMembersList();
+    renderBoard();
+  }
+
+  /**
+   * Take someone off the board on screen. Their tasks keep them as the
+   * assignee until reassigned.
+   * @param {string} email
+   */
+  function removeMember(email) {
+    const board = activeBoard();
+    const index = board.members.findIndex((m) => m.email === email);
+    if (index === -1) return;
+    const removed = board.members.splice(index, 1)[0];
+    if (!board.members.some((m) => m.role === "owner")) {
+      board.members.splice(index, 0, removed);
+      return;
+    }
+    commitBoards();
+    renderMembersList();
+    renderBoard();
+    showToast(`${removed.email} was removed from the board.`, () => {
+      board.members.splice(index, 0, removed);
+      commitBoards();
+      renderMembersList();
+      renderBoard();
+    });
+  }
+
+  /**
+   * Open the import/export sheet with no file chosen
+   */
+  function openTransferModal() {
+    pendingImport = null;
+    importFileInput.value = "";
+    renderImportPreview();
+    resetCalendarFeed();
+    openSheet(transferModalEl);
+  }
+
+  /**
+   * Close the import/export sheet
+   */
+  function closeTransferModal() {
+    closeSheet(transferModalEl);
+    pendingImport = null;
+  }
+
+  /**
+   * Download the active board as JSON, CSV or a calendar file
+   * @param {string} format "json", "csv" or "ics"
+   */
+  function exportBoard(format) {
+    const board = boards.find((b) => b.id === activeBoardId);
+    const data = { tasks, columns, labels };
+    let text = transfer.toJson(board, data);
+    let type = "application/json";
+    if (format === "csv") {
+      text = transfer.toCsv(data);
+      type = "text/csv";
+    } else if (format === "ics") {
+      if (!tasks.some((task) => task.due)) {
+        showToast("No task on this board has a due date.");
+        return;
+      }
+      text = ical.toIcs(board, data, { kind: calendarKindInput.value, link: taskLink });
+      type = "text/calendar";
+    }
+    const slug = board.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "board";
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([text], { type }));
+    link.download = `taskrover-${slug}-${dates.formatDate(new Date())}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+
+  /**
+   * A link that opens a task of the active board, for calendar items
+   * @param {Object} task
+   */
+  function taskLink(task) {
+    const hash = `#board=${encodeURIComponent(activeBoardId)}&task=${encodeURIComponent(task.id)}`;
+    return new URL(`board.html${hash}`, window.location.href).href;
+  }
+
+  /**
+   * Hide the calendar subscription link and say how to get one
+   */
+  function resetCalendarFeed() {
+    const enabled = sync.settings().enabled;
+    calendarFeedInput.value = "";
+    calendarFeedInput.classList.add("hidden");
+    calendarFeedBtn.disabled = !enabled;
+    calendarFeedHintEl.textContent = enabled
+      ? "A subscribed calendar app keeps up with the board's tasks through the sync server."
+      : "Turn on sync (☁️) to subscribe to this board from a calendar app.";
+  }
+
+  /**
+   * Ask the sync server for a calendar subscription link and copy it
+   */
+  function getCalendarFeed() {
+    const boardId = activeBoardId;
+    calendarFeedBtn.disabled = true;
+    calendarFeedHintEl.textContent = "Getting a link…";
+    sync.calendarFeed(boardId, { columns, labels, kind: calendarKindInput.value })
+      .then((url) => {
+        if (boardId !== activeBoardId) return;
+        calendarFeedInput.value = url;
+        calendarFeedInput.classList.remove("hidden");
+        const copied = navigator.clipboard ? navigator.clipboard.writeText(url).then(() => true, () => false) : Promise.resolve(false);
+        return copied.then((ok) => {
+          calendarFeedHintEl.textContent = `${ok ? "Copied. " : ""}Add it in your calendar app as a subscription (“From URL”). Anyone with the link sees this board's tasks with a due date for as long as you are a member.`;
+        });
+      })
+      .catch((err) => {
+        // fetch fails with a TypeError when the server can't be reached
+        calendarFeedHintEl.textContent = err instanceof TypeError ? "Can't reach the sync server. Try again when you are online." : err.message;
+      })
+      .then(() => {
+        calendarFeedBtn.disabled = false;
+      });
+  }
+
+  /**
+   * Parse and validate the chosen file, then preview the import
+   */
+  function readImportFile() {
+    const file = importFileInput.files[0];
+    pendingImport = null;
+    if (!file) {
+      renderImportPreview();
+      return;
+    }
+    file.text()
+      .then((text) => prepareImportFile(text, file.name))
+      .catch((err) => {
+        pendingImport = { error: `Can't read ${file.name}: ${err.message}` };
+        renderImportPreview();
+      });
+  }
+
+  /**
+   * Validate an import file against the board and preview it. `mapping`
+   * carries the user's column choices for Trello lists or GitHub states.
+   * @param {string} text
+   * @param {string} fileName
+   * @param {Object} [mapping]
+   */
+  function prepareImportFile(text, fileName, mapping) {
+    try {
+      pendingImport = { text, fileName, ...transfer.prepareImport(text, fileName, { columns, labels }, mapping) };
+    } catch (err) {
+      pendingImport = { error: err.message };
+    }
+    renderImportPreview();
+  }
+
+  /**
+   * Mapping screen for Trello, GitHub and calendar imports: one column
+   * picker per list, issue state or calendar status, with unrecognised ones
+   * flagged
+   */
+  function renderImportMapping() {
+    importMappingEl.innerHTML = "";
+    const source = pendingImport && pendingImport.source;
+    importMappingEl.classList.toggle("hidden", !source);
+    if (!source) return;
+    const heading = document.createElement("p");
+    heading.className = "form-label";
+    const headings = {
+      trello: "Put each Trello list in a column",
+      github: "Put open and closed issues in a column",
+      ical: "Put the calendar items of each status in a column",
+    };
+    heading.textContent = headings[pendingImport.format];
+    importMappingEl.appendChild(heading);
+    source.groups.forEach((group) => {
+      const row = document.createElement("label");
+      row.className = "mapping-row";
+      const unrecognised = source.unrecognised.includes(group.id);
+      row.classList.toggle("unrecognised", unrecognised);
+      const name = document.createElement("span");
+      name.textContent = `${group.name} (${group.count})${unrecognised ? " — not recognised" : ""}`;
+      const select = document.createElement("select");
+      select.className = "form-input filter-select";
+      columns.forEach((col) => {
+        const option = document.createElement("option");
+        option.value = col.key;
+        option.textContent = col.label;
+        select.appendChild(option);
+      });
+      const newOption = document.createElement("option");
+      newOption.value = importers.NEW_COLUMN;
+      newOption.textContent = `New column “${group.name}”`;
+      select.appendChild(newOption);
+      const mapped = pendingImport.mapping[group.id];
+      select.value = columns.some((col) => col.key === mapped) ? mapped : importers.NEW_COLUMN;
+      select.addEventListener("change", () => {
+        prepareImportFile(pendingImport.text, pendingImport.fileName, {
+          ...pendingImport.mapping,
+          [group.id]: select.value,
+        });
+      });
+      row.appendChild(name);
+      row.appendChild(select);
+      importMappingEl.appendChild(row);
+    });
+  }
+
+  /**
+   * The import mode picked in the sheet: "merge" or "replace"
+   */
+  function importMode() {
+    const checked = transferModalEl.querySelector('input[name="importMode"]:checked');
+    return checked ? checked.value : "merge";
+  }
+
+  /**
+   * Show what importing the chosen file would do in the selected mode
+   */
+  function renderImportPreview() {
+    renderImportMapping();
+    importPreviewEl.innerHTML = "";
+    importBtn.disabled = true;
+    importPreviewEl.classList.toggle("hidden", !pendingImport);
+    if (!pendingImport) return;
+    const addLine = (text, className) => {
+      const line = document.createElement("p");
+      if (className) line.className = className;
+      line.textContent = text;
+      importPreviewEl.appendChild(line);
+      return line;
+    };
+    if (pendingImport.error) {
+      addLine(pendingImport.error, "import-error");
+      return;
+    }
+    const plan = transfer.planImport(tasks, pendingImport.tasks, importMode(), createId);
+    const summary = [`${plan.added.length} new`, `${plan.changed.length} changed`, `${plan.unchanged.length} unchanged`];
+    if (importMode() === "replace") summary.push(`${plan.removed.length} removed`);
+    const { source } = pendingImport;
+    const itemNames = { trello: "cards", github: "issues", ical: "items" };
+    const origin = source
+      ? `${source.name}: ${pendingImport.tasks.length} ${itemNames[pendingImport.format]}`
+      : `${pendingImport.format.toUpperCase()} file with ${pendingImport.tasks.length} tasks`;
+    addLine(`Dry run — ${origin}: ${summary.join(", ")}. Nothing is saved until you import.`);
+    if (source && source.skipped > 0) {
+      const skippedNames = { trello: "archived card", github: "pull request", ical: "cancelled item" };
+      const what = skippedNames[pendingImport.format];
+      addLine(`Left out: ${source.skipped} ${what}${source.skipped === 1 ? "" : "s"}.`);
+    }
+    const newColumns = pendingImport.columns.filter((col) => !columns.some((c) => c.key === col.key));
+    if (newColumns.length > 0) {
+      addLine(`New columns: ${newColumns.map((col) => col.label).join(", ")}.`);
+    }
+    const newLabels = pendingImport.labels.filter((label) => !labels.some((l) => l.id === label.id));
+    if (newLabels.length > 0) {
+      addLine(`New labels: ${newLabels.map((label) => label.name).join(", ")}.`);
+    }
+    const list = document.createElement("ul");
+    const addItem = (kind, text) => {
+      const item = document.createElement("li");
+      const tag = document.createElement("span");
+      tag.className = `import-kind ${kind.toLowerCase()}`;
+      tag.textContent = kind;
+      item.appendChild(tag);
+      item.appendChild(document.createTextNode(` ${text}`));
+      list.appendChild(item);
+    };
+    plan.added.forEach((task) => addItem("New", task.title));
+    plan.changed.forEach(({ after, fields }) => addItem("Changed", `${after.title} (${fields.join(", ")})`));
+    plan.removed.forEach((task) => addItem("Removed", task.title));
+    if (list.childNodes.length > 0) importPreviewEl.appendChild(list);
+    pendingImport.errors.forEach((error) => addLine(`Skipped: ${error}`, "import-error"));
+    importBtn.disabled = plan.added.length + plan.changed.length + plan.removed.length === 0;
+  }
+
+  /**
+   * Apply the previewed import, with undo
+   */
+  function applyImport() {
+    if (!pendingImport || pendingImport.error || !canEditBoard()) return;
+    const plan = transfer.planImport(tasks, pendingImport.tasks, importMode(), createId);
+    // Imports only add columns and labels, so undoing the tasks is enough
+    columns = pendingImport.columns;
+    labels = pendingImport.labels;
+    persistColumns();
+    persistLabels();
+    const command = trackChange(`Import from "${pendingImport.fileName}"`, () => {
+      tasks = plan.tasks;
+      persistTasks();
+    });
+    renderStatusOptions();
+    renderBoard();
+    closeTransferModal();
+    const removed = plan.removed.length > 0 ? `, ${plan.removed.length} removed` : "";
+    showToast(`Imported: ${plan.added.length} new, ${plan.changed.length} changed${removed}.`, undoButtonFor(command));
+  }
+
+  /**
+   * Open the sync sheet with the saved settings
+   */
+  function openSyncModal() {
+    const settings = sync.settings();
+    syncEndpointInput.value = settings.endpoint;
+    syncEnabledInput.checked = settings.enabled;
+    openSheet(syncModalEl);
+  }
+
+  /**
+   * Save the sync settings and close the sheet
+   */
+  function closeSyncModal() {
+    if (syncModalEl.classList.contains("hidden")) return;
+    const endpoint = syncEndpointInput.value.trim();
+    if (syncEnabledInput.checked && !/^https?:\/\/\S+$/i.test(endpoint)) {
+      showToast("Enter the sync server URL, starting with http:// or https://");
+      syncEndpointInput.focus();
+      return;
+    }
+    sync.configure({ endpoint, enabled: syncEnabledInput.checked });
+    closeSheet(syncModalEl);
+  }
+
+  /**
+   * Show the sync state in the sheet and on the header button
+   * @param {Object} status from sync.onStatus
+   */
+  function renderSyncStatus(status) {
+    syncStatus = status;
+    const labels = {
+      off: "Sync is off. Tasks stay on this device.",
+      idle: "Up to date.",
+      syncing: "Syncing…",
+      offline: "Offline.",
+      error: "Sync failed.",
+    };
+    const parts = [labels[status.state]];
+    if (status.pending > 0) {
+      parts.push(`${status.pending} change${status.pending === 1 ? "" : "s"} waiting to be sent.`);
+    }
+    if (status.lastSyncedAt && status.state !== "off") {
+      parts.push(`Last synced ${new Date(status.lastSyncedAt).toLocaleTimeString()}.`);
+    }
+    if (status.message) parts.push(status.message);
+    syncStatusEl.textContent = parts.join(" ");
+    syncStatusEl.dataset.state = status.state;
+    syncBtn.dataset.state = status.state;
+    syncBtn.setAttribute("aria-label", `Sync settings (${labels[status.state]})`);
+  }
+
+  /**
+   * Tell the user which copy of a task edited on two devices was kept
+   * @param {Object} conflict from sync.onConflict
+   */
+  function showSyncConflict(conflict) {
+    const title = conflict.task.deleted ? "A deleted task" : `“${conflict.task.title}”`;
+    const kept = conflict.winner === "client" ? "your copy" : "the copy from the other device";
+    showToast(`${title} was also changed on another device; kept the newer edit (${kept}).`);
+  }
+
+  /**
+   * Ask whether to keep this user's boards on the device when signing out
+   */
+  function openSignOutModal() {
+    const unsent = syncStatus && syncStatus.state !== "off" ? syncStatus.pending : 0;
+    signOutWarningEl.textContent = unsent > 0
+      ? `${unsent} change${unsent === 1 ? " has" : "s have"} not reached the sync server yet and would be lost if you remove your data.`
+      : "";
+    signOutWarningEl.classList.toggle("hidden", unsent === 0);
+    openSheet(signOutModalEl);
+  }
+
+  /**
+   * End the session and leave the board. The session ends even when the
+   * data can't be saved or removed; the user is told before leaving.
+   * @param {boolean} wipe remove this user's data from the device
+   */
+  function signOut(wipe) {
+    undoStack.clear();
+    const stored = wipe ? storage.destroy() : storage.flush();
+    Promise.all([stored, reminders.forget()])
+      .then(() => null, (err) => err || new Error("Unknown error."))
+      .then((failure) => auth.signOut().then(() => {
+        if (!failure) {
+          window.location.href = "index.html";
+          return;
+        }
+        closeSheet(signOutModalEl);
+        showToast(wipe
+          ? `Signed out, but your data could not be removed from this device: ${failure.message}`
+          : `Signed out, but your latest changes could not be saved: ${failure.message}`);
+        // Leave once the message has had time to be read
+        setTimeout(() => {
+          window.location.href = "index.html";
+        }, 5000);
+      }));
+  }
+
   /**
    * Show toast with optional undo
    */
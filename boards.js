@@ -0,0 +1,330 @@
+/*
+ * Board registry for Task Rover
+ *
+ * A user can keep several named boards. The list of boards is kept in the
+ * shared store (storage.js) under `boards` as `{ id, name, archived,
+ * createdAt, members }` objects, and the board last opened is remembered
+ * under `activeBoard`. Each board keeps its tasks under `tasks:<boardId>`
+ * and its columns under `columns:<boardId>`.
+ *
+ * Boards can be shared. `members` lists `{ email, name, role }`, where the
+ * role is "owner" (manages members and the name), "editor" (changes tasks)
+ * or "viewer" (read only). Boards with no members yet belong to the user who
+ * loads them. Tasks are assigned by setting `owner` to a member's email.
+ * `saveBoards` tells listeners registered with `onBoardsChanged` which
+ * boards' names or members changed, so sync.js can share them.
+ *
+ * Every task carries `updatedAt` (when it last changed on this device or
+ * the one that synced it), `updatedBy` (the email of whoever changed it) and
+ * `version` (the sync server's revision, 0 until it has been synced).
+ * `saveTasks` stamps tasks whose content changed since they were loaded or
+ * last saved, and tells listeners registered with `onTasksChanged` which
+ * tasks were changed or deleted and what they looked like before; sync.js
+ * uses that to queue changes for the server and history.js to log them.
+ *
+ * The store must be opened (`TaskRover.storage.open(email)`) before any of these
+ * helpers are used.
+ */
+
+(() => {
+  const storage = window.TaskRover.storage;
+  const ROLES = ["owner", "editor", "viewer"];
+  // Per board: task id → { content, version } as last loaded or saved
+  const snapshots = {};
+  const changeListeners = [];
+  // Board id → shared fields (name, members) as last loaded or saved
+  let boardSnapshot = new Map();
+  const boardListeners = [];
+  // The signed-in user, recorded as the author of changes made here
+  let actor = "";
+
+  /**
+   * A new board id, unique enough to share boards between users
+   */
+  function createBoardId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * The fields of a board that are shared with its members
+   * @param {Object} board
+   */
+  function sharedFieldsOf(board) {
+    return JSON.stringify({ name: board.name, members: board.members });
+  }
+
+  /**
+   * Remember boards as they are now, so later saves can tell what changed
+   * @param {Array} boards
+   */
+  function takeBoardSnapshot(boards) {
+    boardSnapshot = new Map(boards.map((board) => [board.id, sharedFieldsOf(board)]));
+  }
+
+  /**
+   * Load the board list, creating a first board on first use. Boards
+   * without members are given to the signed-in user.
+   * @param {string} email the signed-in user
+   */
+  function loadBoards(email) {
+    actor = email;
+    const stored = storage.get("boards");
+    let boards = Array.isArray(stored) ? stored.filter((b) => b && typeof b.id === "string") : [];
+    takeBoardSnapshot(boards);
+    const unclaimed = boards.filter((board) => !Array.isArray(board.members) || board.members.length === 0);
+    unclaimed.forEach((board) => {
+      board.members = [{ email, name: "", role: "owner" }];
+    });
+    if (boards.length === 0) createBoard(boards, "My Board", email);
+    if (unclaimed.length > 0 || boardSnapshot.size === 0) saveBoards(boards);
+    return boards;
+  }
+
+  /**
+   * Save the board list. Listeners hear about boards whose name or members
+   * changed, unless `{ remote: true }` is passed for boards that came from
+   * the sync server.
+   * @param {Array} boards
+   * @param {Object} [options]
+   */
+  function saveBoards(boards, options = {}) {
+    const changed = options.remote
+      ? []
+      : boards.filter((board) => boardSnapshot.get(board.id) !== sharedFieldsOf(board));
+    takeBoardSnapshot(boards);
+    storage.set("boards", boards);
+    if (changed.length > 0) {
+      boardListeners.forEach((fn) => fn(changed));
+    }
+  }
+
+  /**
+   * Register a listener for local changes to boards' names or members
+   * @param {Function} fn called with the changed boards
+   */
+  function onBoardsChanged(fn) {
+    boardListeners.push(fn);
+  }
+
+  /**
+   * Append a new board owned by the signed-in user to the list and return it
+   * @param {Array} boards
+   * @param {string} name
+   * @param {string} email the signed-in user
+   */
+  function createBoard(boards, name, email) {
+    const board = {
+      id: createBoardId(),
+      name,
+      archived: false,
+      createdAt: Date.now(),
+      members: [{ email, name: "", role: "owner" }],
+    };
+    boards.push(board);
+    return board;
+  }
+
+  /**
+   * A user's role on a board ("owner", "editor" or "viewer"), or null
+   * @param {Object} board
+   * @param {string} email
+   */
+  function roleOf(board, email) {
+    const member = (board.members || []).find((m) => m.email === email);
+    return member ? member.role : null;
+  }
+
+  /**
+   * Whether a user may change a board's tasks
+   * @param {Object} board
+   * @param {string} email
+   */
+  function canEdit(board, email) {
+    const role = roleOf(board, email);
+    return role === "owner" || role === "editor";
+  }
+
+  /**
+   * How to show a person: the member's name, or the part of the email
+   * before the @. Unknown values (owners typed in before members existed)
+   * are shown as they are.
+   * @param {Object} board
+   * @param {string} email
+   */
+  function memberName(board, email) {
+    const member = (board.members || []).find((m) => m.email === email);
+    if (member) return member.name || member.email.split("@")[0];
+    return email || "";
+  }
+
+  /**
+   * One or two letters standing for a person, for avatars
+   * @param {string} name from memberName
+   */
+  function initials(name) {
+    const words = String(name).split(/[\s._-]+/).filter(Boolean);
+    if (words.length === 0) return "?";
+    const letters = words.length === 1 ? words[0].slice(0, 2) : words[0][0] + words[words.length - 1][0];
+    return letters.toUpperCase();
+  }
+
+  /**
+   * Boards that have not been archived
+   * @param {Array} boards
+   */
+  function activeBoards(boards) {
+    return boards.filter((b) => !b.archived);
+  }
+
+  /**
+   * Resolve the board to show: the remembered one if it is still open,
+   * otherwise the first non-archived board
+   * @param {Array} boards
+   */
+  function getActiveBoardId(boards) {
+    const open = activeBoards(boards);
+    const stored = storage.get("activeBoard");
+    if (open.some((b) => b.id === stored)) return stored;
+    return open.length > 0 ? open[0].id : boards[0].id;
+  }
+
+  /**
+   * Remember the board the user switched to
+   * @param {string} boardId
+   */
+  function setActiveBoardId(boardId) {
+    storage.set("activeBoard", boardId);
+  }
+
+  /**
+   * A task's content without its sync stamps, for spotting changes
+   * @param {Object} task
+   */
+  function contentOf(task) {
+    const { updatedAt, updatedBy, version, ...content } = task;
+    return JSON.stringify(content);
+  }
+
+  /**
+   * Remember tasks as they are now, so later saves can tell what changed
+   * @param {string} boardId
+   * @param {Array} tasks
+   */
+  function takeSnapshot(boardId, tasks) {
+    snapshots[boardId] = new Map(tasks.map((task) => [task.id, { content: contentOf(task), version: task.version || 0 }]));
+  }
+
+  /**
+   * Load a board's tasks
+   * @param {string} boardId
+   */
+  function loadTasks(boardId) {
+    const stored = storage.get(`tasks:${boardId}`);
+    const tasks = Array.isArray(stored) ? stored : [];
+    takeSnapshot(boardId, tasks);
+    return tasks;
+  }
+
+  /**
+   * Rebuild `tasks` from the stored copy plus this save's own changes
+   * @param {Array} tasks this tab's tasks, changed in place
+   * @param {Array} stored the board's tasks as another tab last saved them
+   * @param {Map} previous this tab's snapshot from before the save
+   * @param {Array} changes this save's changes
+   */
+  function mergeInto(tasks, stored, previous, changes) {
+    const changed = new Set(changes.map((change) => (change.type === "put" ? change.task.id : change.id)));
+    const storedById = new Map(stored.map((task) => [task.id, task]));
+    const merged = [];
+    tasks.forEach((task) => {
+      if (changed.has(task.id)) {
+        merged.push(task);
+      } else if (storedById.has(task.id)) {
+        merged.push(storedById.get(task.id));
+      }
+      // Otherwise another tab deleted it
+      storedById.delete(task.id);
+    });
+    storedById.forEach((task, id) => {
+      // Tasks this tab never saw were added by another tab; the rest were deleted here
+      if (!previous.has(id)) merged.push(task);
+    });
+    tasks.splice(0, tasks.length, ...merged);
+  }
+
+  /**
+   * Save a board's tasks. Tasks changed since the last load or save get a
+   * new `updatedAt` and `updatedBy`, and change listeners hear about them and
+   * about deleted tasks. Pass `{ remote: true }` for tasks that came from the
+   * sync server so they are stored as they are; listeners are told they are
+   * remote so they are not sent back.
+   *
+   * Only the tasks this save changed or deleted are written over what is
+   * stored: if another tab has saved the board in the meantime, its versions
+   * of the other tasks (and tasks it added or deleted) are kept, and `tasks`
+   * is updated in place to match.
+   * @param {string} boardId
+   * @param {Array} tasks
+   * @param {Object} [options]
+   */
+  function saveTasks(boardId, tasks, options = {}) {
+    const previous = snapshots[boardId] || new Map();
+    const changes = [];
+    const now = Date.now();
+    tasks.forEach((task) => {
+      const before = previous.get(task.id);
+      if (before && before.content === contentOf(task)) return;
+      if (!options.remote) {
+        task.updatedAt = now;
+        task.updatedBy = actor;
+        task.version = task.version || 0;
+      }
+      changes.push({ type: "put", task, before: before ? JSON.parse(before.content) : null });
+    });
+    const ids = new Set(tasks.map((task) => task.id));
+    previous.forEach((before, id) => {
+      if (!ids.has(id)) {
+        const updatedBy = options.remote ? "" : actor;
+        changes.push({ type: "delete", id, version: before.version, updatedAt: now, updatedBy, before: JSON.parse(before.content) });
+      }
+    });
+    const stored = storage.get(`tasks:${boardId}`);
+    if (Array.isArray(stored) && stored !== tasks) {
+      mergeInto(tasks, stored, previous, changes);
+    }
+    takeSnapshot(boardId, tasks);
+    storage.set(`tasks:${boardId}`, tasks);
+    if (changes.length > 0) {
+      changeListeners.forEach((fn) => fn(boardId, changes, { remote: Boolean(options.remote) }));
+    }
+  }
+
+  /**
+   * Register a listener for task changes
+   * @param {Function} fn called with `(boardId, changes, { remote })`; each
+   *   change is `{ type: "put", task, before }` or `{ type: "delete", id,
+   *   version, updatedAt, updatedBy, before }`, where `before` is the task
+   *   as it was (null for new tasks)
+   */
+  function onTasksChanged(fn) {
+    changeListeners.push(fn);
+  }
+
+  window.TaskRover.boards = {
+    ROLES,
+    loadBoards,
+    saveBoards,
+    onBoardsChanged,
+    createBoard,
+    roleOf,
+    canEdit,
+    memberName,
+    initials,
+    activeBoards,
+    getActiveBoardId,
+    setActiveBoardId,
+    loadTasks,
+    saveTasks,
+    onTasksChanged,
+  };
+})();
@@ -0,0 +1,99 @@
+/*
+ * Calendar layout for Task Rover
+ *
+ * Works out which days the board's calendar view shows and which tasks go
+ * on each. The month view shows whole Monday-to-Sunday weeks covering the
+ * month, the week view the seven days of one week. Days are `YYYY-MM-DD`
+ * strings, as task due dates are (see dates.js). board.js draws the view.
+ */
+
+(() => {
+  const dates = window.TaskRover.dates;
+  const MODES = ["month", "week"];
+  const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+  /**
+   * The Monday on or before a date
+   * @param {Date} date
+   */
+  function startOfWeek(date) {
+    return dates.addDays(date, -((date.getDay() + 6) % 7));
+  }
+
+  /**
+   * The days shown for the month or week containing `anchor`
+   * @param {Date} anchor
+   * @param {string} mode "month" or "week"
+   * @returns {Array<string>} `YYYY-MM-DD` days, in weeks of seven
+   */
+  function visibleDays(anchor, mode) {
+    let first = startOfWeek(anchor);
+    let count = 7;
+    if (mode === "month") {
+      const monthStart = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+      const monthEnd = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+      first = startOfWeek(monthStart);
+      const last = dates.addDays(startOfWeek(monthEnd), 6);
+      count = Math.round((last - first) / (24 * 60 * 60 * 1000)) + 1;
+    }
+    return Array.from({ length: count }, (_, i) => dates.formatDate(dates.addDays(first, i)));
+  }
+
+  /**
+   * The anchor one month or week before (`step` -1) or after (`step` 1)
+   * @param {Date} anchor
+   * @param {string} mode
+   * @param {number} step
+   */
+  function shift(anchor, mode, step) {
+    if (mode === "week") return dates.addDays(anchor, step * 7);
+    // Day 1 so that Jan 31 + 1 month doesn't skip February
+    return new Date(anchor.getFullYear(), anchor.getMonth() + step, 1);
+  }
+
+  /**
+   * Heading for the period shown, e.g. "October 2026" or "Oct 19 – 25, 2026"
+   * @param {Date} anchor
+   * @param {string} mode
+   */
+  function title(anchor, mode) {
+    if (mode === "month") {
+      return anchor.toLocaleDateString(undefined, { month: "long", year: "numeric" });
+    }
+    const first = startOfWeek(anchor);
+    const last = dates.addDays(first, 6);
+    const short = { month: "short", day: "numeric" };
+    const end = first.getMonth() === last.getMonth()
+      ? last.toLocaleDateString(undefined, { day: "numeric" })
+      : last.toLocaleDateString(undefined, short);
+    return `${first.toLocaleDateString(undefined, short)} – ${end}, ${last.getFullYear()}`;
+  }
+
+  /**
+   * Group tasks by due day. Each day's tasks are ordered by due time (tasks
+   * without one first), then priority, then title.
+   * @param {Array} tasks
+   * @returns {Map} day → tasks
+   */
+  function byDay(tasks) {
+    const days = new Map();
+    tasks.forEach((task) => {
+      if (!task.due) return;
+      if (!days.has(task.due)) days.set(task.due, []);
+      days.get(task.due).push(task);
+    });
+    const rank = (task) => (task.priority in PRIORITY_ORDER ? PRIORITY_ORDER[task.priority] : 3);
+    days.forEach((list) => list.sort((a, b) => (a.dueTime || "").localeCompare(b.dueTime || "")
+      || rank(a) - rank(b)
+      || a.title.localeCompare(b.title)));
+    return days;
+  }
+
+  window.TaskRover.calendar = {
+    MODES,
+    visibleDays,
+    shift,
+    title,
+    byDay,
+  };
+})();
@@ -0,0 +1,64 @@
+/*
+ * Sign‑in link callback for Task Rover
+ *
+ * Sign‑in emails link here with the one‑time token in the URL fragment
+ * (`callback.html#token=...`), which never reaches server logs.  The token is
+ * removed from the address bar straight away, traded for a session through
+ * auth.js and the user is sent on to the board.  Expired or already used
+ * links show an error with a way to request a new one.
+ */
+
+(() => {
+  // Theme utilities
+  const themeToggleBtn = document.getElementById("themeToggle");
+  const wrapper = document.getElementById("appWrapper");
+  function applyTheme(mode) {
+    if (mode === "dark") {
+      wrapper.classList.add("dark");
+      themeToggleBtn.textContent = "☀️";
+      themeToggleBtn.setAttribute("aria-label", "Switch to light mode");
+    } else {
+      wrapper.classList.remove("dark");
+      themeToggleBtn.textContent = "🌙";
+      themeToggleBtn.setAttribute("aria-label", "Switch to dark mode");
+    }
+    localStorage.setItem("taskRoverTheme", mode);
+  }
+  function initTheme() {
+    let theme = localStorage.getItem("taskRoverTheme");
+    if (!theme) {
+      const prefersDark = window.matchMedia && window.matchMedia("(prefers-color-scheme: dark)").matches;
+      theme = prefersDark ? "dark" : "light";
+    }
+    applyTheme(theme);
+  }
+  function toggleTheme() {
+    const isDark = wrapper.classList.contains("dark");
+    applyTheme(isDark ? "light" : "dark");
+  }
+  themeToggleBtn.addEventListener("click", toggleTheme);
+  initTheme();
+
+  const messageEl = document.getElementById("callbackMessage");
+  const retryLink = document.getElementById("retryLink");
+  function fail(message) {
+    messageEl.textContent = message;
+    messageEl.style.color = "#ef4444";
+    retryLink.classList.remove("hidden");
+  }
+
+  // Take the token out of the address bar so it isn't bookmarked or shared
+  const token = new URLSearchParams(window.location.hash.slice(1)).get("token");
+  history.replaceState(null, "", window.location.pathname);
+  if (!token) {
+    fail("This sign‑in link is incomplete. Copy the whole link from the email, or request a new one.");
+    return;
+  }
+  window.TaskRover.auth.completeSignIn(token)
+    .then((session) => {
+      messageEl.textContent = `Signed in as ${session.email}. Opening your board…`;
+      messageEl.style.color = "#22c55e";
+      window.location.replace("board.html");
+    })
+    .catch((err) => fail(err.message));
+})();
@@ -0,0 +1,146 @@
+/*
+ * Column definitions for Task Rover
+ *
+ * Columns (workflow stages) are stored per board in the shared store
+ * (storage.js) under `columns:<boardId>` as an ordered array of
+ * `{ key, label, done }` objects.
+ * The board, the task modal's status buttons and the stats page all read
+ * from this single definition. A task's `status` holds the key of the column
+ * it lives in; `done` marks the column whose cards count as completed.
+ */
+
+(() => {
+  const storage = window.TaskRover.storage;
+
+  const DEFAULT_COLUMNS = [
+    { key: "todo", label: "To Do", done: false },
+    { key: "doing", label: "In Progress", done: false },
+    { key: "done", label: "Done", done: true },
+  ];
+
+  /**
+   * Return a fresh copy of the default columns
+   */
+  function defaults() {
+    return DEFAULT_COLUMNS.map((col) => ({ ...col }));
+  }
+
+  /**
+   * Keep only well-formed column entries with unique keys
+   * @param {Array} list
+   */
+  function sanitize(list) {
+    if (!Array.isArray(list)) return [];
+    const seen = new Set();
+    const columns = [];
+    list.forEach((col) => {
+      if (!col || typeof col.key !== "string" || !col.key || seen.has(col.key)) return;
+      seen.add(col.key);
+      columns.push({
+        key: col.key,
+        label: typeof col.label === "string" && col.label.trim() ? col.label.trim() : col.key,
+        done: Boolean(col.done),
+      });
+    });
+    return columns;
+  }
+
+  /**
+   * Load a board's columns, falling back to the defaults
+   * @param {string} boardId
+   */
+  function loadColumns(boardId) {
+    const columns = sanitize(storage.get(`columns:${boardId}`));
+    return columns.length > 0 ? columns : defaults();
+  }
+
+  /**
+   * Save a board's columns
+   * @param {string} boardId
+   * @param {Array} columns
+   */
+  function saveColumns(boardId, columns) {
+    storage.set(`columns:${boardId}`, columns);
+  }
+
+  /**
+   * Build a unique column key from a label
+   * @param {string} label
+   * @param {Array} columns existing columns
+   */
+  function createKey(label, columns) {
+    const base = label
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "column";
+    const taken = new Set(columns.map((col) => col.key));
+    let key = base;
+    let n = 2;
+    while (taken.has(key)) {
+      key = `${base}-${n}`;
+      n += 1;
+    }
+    return key;
+  }
+
+  /**
+   * Map of column key to display label, for rendering stats and buttons
+   * @param {Array} columns
+   */
+  function labelMap(columns) {
+    const map = {};
+    columns.forEach((col) => {
+      map[col.key] = col.label;
+    });
+    return map;
+  }
+
+  /**
+   * Find the column flagged as done, if any
+   * @param {Array} columns
+   */
+  function doneColumn(columns) {
+    return columns.find((col) => col.done) || null;
+  }
+
+  /**
+   * Whether a status key belongs to the done column
+   * @param {Array} columns
+   * @param {string} key
+   */
+  function isDone(columns, key) {
+    const col = columns.find((c) => c.key === key);
+    return Boolean(col && col.done);
+  }
+
+  /**
+   * Move tasks whose status no longer matches a column into `targetKey`
+   * (the first column by default). Returns true when any task changed.
+   * @param {Array} columns
+   * @param {Array} tasks
+   * @param {string} [targetKey]
+   */
+  function reconcileTasks(columns, tasks, targetKey) {
+    if (columns.length === 0) return false;
+    const keys = new Set(columns.map((col) => col.key));
+    const fallback = keys.has(targetKey) ? targetKey : columns[0].key;
+    let changed = false;
+    tasks.forEach((task) => {
+      if (!keys.has(task.status)) {
+        task.status = fallback;
+        changed = true;
+      }
+    });
+    return changed;
+  }
+
+  window.TaskRover.columns = {
+    loadColumns,
+    saveColumns,
+    createKey,
+    labelMap,
+    doneColumn,
+    isDone,
+    reconcileTasks,
+  };
+})();
@@ -0,0 +1,141 @@
+/*
+ * Calendar dates for Task Rover
+ *
+ * Due dates are stored as `YYYY-MM-DD` strings and read in the user's local
+ * time zone. This module converts between those strings and Date objects and
+ * understands the date phrases accepted after `@` in quick add:
+ *
+ *   today, tomorrow                        tod, tom
+ *   fri, friday                            the coming Friday (today if it is Friday)
+ *   next fri                               Friday of next week
+ *   next week, next month                  next Monday, the 1st of next month
+ *   in 3 days, in 2 weeks, in a month
+ *   eom                                    last day of this month
+ *   dec 5, 5 dec, dec 5 2027               this year, or next year once passed
+ *   2026-12-05
+ */
+
+(() => {
+  const DAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+  const MONTH_NAMES = [
+    "january", "february", "march", "april", "may", "june",
+    "july", "august", "september", "october", "november", "december",
+  ];
+
+  /**
+   * Parse a `YYYY-MM-DD` string into a local Date. Returns null for
+   * anything else, including impossible dates such as 2024-13-45.
+   * @param {string} value
+   */
+  function parseDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+    if (!match) return null;
+    return makeDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+
+  /**
+   * Build a local Date, or null when the day does not exist in that month
+   * @param {number} year
+   * @param {number} month 0-based
+   * @param {number} day
+   */
+  function makeDate(year, month, day) {
+    const date = new Date(year, month, day);
+    return date.getFullYear() === year && date.getMonth() === month && date.getDate() === day ? date : null;
+  }
+
+  /**
+   * Format a local Date as `YYYY-MM-DD`
+   * @param {Date} date
+   */
+  function formatDate(date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Midnight at the start of `date`'s day, `days` days later
+   * @param {Date} date
+   * @param {number} [days]
+   */
+  function addDays(date, days = 0) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  }
+
+  /**
+   * Index of a day or month name, accepting any prefix of three letters or more
+   * @param {Array<string>} names
+   * @param {string} word
+   */
+  function nameIndex(names, word) {
+    if (word.length < 3) return -1;
+    return names.findIndex((name) => name.startsWith(word));
+  }
+
+  /**
+   * Resolve a date phrase (see the list above) against `today`. Returns a
+   * `YYYY-MM-DD` string, or null when the phrase is not a date.
+   * @param {string} phrase
+   * @param {Date} [today]
+   */
+  function parsePhrase(phrase, today = new Date()) {
+    const text = String(phrase || "").trim().toLowerCase().replace(/\s+/g, " ");
+    const base = addDays(today);
+    let match;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+      const date = parseDate(text);
+      return date ? formatDate(date) : null;
+    }
+    if (text === "today" || text === "tod") return formatDate(base);
+    if (text === "tomorrow" || text === "tom") return formatDate(addDays(base, 1));
+    if (text === "eom") return formatDate(new Date(base.getFullYear(), base.getMonth() + 1, 0));
+    if (text === "next week") return formatDate(addDays(base, ((8 - base.getDay()) % 7) || 7));
+    if (text === "next month") return formatDate(new Date(base.getFullYear(), base.getMonth() + 1, 1));
+    if ((match = /^(next )?([a-z]+)$/.exec(text))) {
+      const day = nameIndex(DAY_NAMES, match[2]);
+      if (day === -1) return null;
+      let offset = (day - base.getDay() + 7) % 7;
+      if (match[1]) {
+        // Same weekday in the following Monday-to-Sunday week
+        const toNextMonday = ((8 - base.getDay()) % 7) || 7;
+        offset = toNextMonday + ((day + 6) % 7);
+      }
+      return formatDate(addDays(base, offset));
+    }
+    if ((match = /^in (\d{1,3}|an?) (day|week|month)s?$/.exec(text))) {
+      const count = /^\d/.test(match[1]) ? Number(match[1]) : 1;
+      if (match[2] === "month") {
+        // Clamp to the end of shorter months (Jan 31 + 1 month = Feb 28)
+        const last = new Date(base.getFullYear(), base.getMonth() + count + 1, 0).getDate();
+        return formatDate(new Date(base.getFullYear(), base.getMonth() + count, Math.min(base.getDate(), last)));
+      }
+      return formatDate(addDays(base, match[2] === "week" ? count * 7 : count));
+    }
+    match = /^([a-z]+) (\d{1,2})(?: (\d{4}))?$/.exec(text) || /^(\d{1,2}) ([a-z]+)(?: (\d{4}))?$/.exec(text);
+    if (match) {
+      const [monthWord, dayText] = /^\d/.test(match[1]) ? [match[2], match[1]] : [match[1], match[2]];
+      const month = nameIndex(MONTH_NAMES, monthWord);
+      if (month === -1) return null;
+      const day = Number(dayText);
+      if (match[3]) {
+        const date = makeDate(Number(match[3]), month, day);
+        return date ? formatDate(date) : null;
+      }
+      // Without a year, the next time that date comes round (Feb 29 may be years away)
+      if (day < 1 || day > 31) return null;
+      for (let year = base.getFullYear(); year <= base.getFullYear() + 8; year += 1) {
+        const date = makeDate(year, month, day);
+        if (date && date >= base) return formatDate(date);
+      }
+      return null;
+    }
+    return null;
+  }
+
+  window.TaskRover.dates = {
+    parseDate,
+    formatDate,
+    addDays,
+    parsePhrase,
+  };
+})();
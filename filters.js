@@ -0,0 +1,199 @@
+/*
+ * Board filters and saved views for Task Rover
+ *
+ * A filter narrows the cards drawn on the board:
+ *
+ *   { q, owner, priority, due, status, labels }
+ *
+ * `q` is free text matched against title, owner and description (every
+ * word must appear), `due` is one of the DUE_RANGES, `labels` holds label
+ * ids (any of them matches) and empty fields match everything. Filters can
+ * be saved per board as named views under `views:<boardId>` ({ id, name,
+ * filter }), and round-trip through the URL query string so a filtered
+ * board can be bookmarked.
+ */
+
+(() => {
+  const storage = window.TaskRover.storage;
+  const dates = window.TaskRover.dates;
+  const DUE_RANGES = ["overdue", "week", "none"];
+  const PRIORITIES = ["high", "medium", "low", "none"];
+  const QUERY_FIELDS = ["q", "owner", "priority", "due", "status"];
+
+  /**
+   * A filter that matches every task
+   */
+  function emptyFilter() {
+    return { q: "", owner: "", priority: "", due: "", status: "", labels: [] };
+  }
+
+  /**
+   * Coerce stored or hand-edited data into a well-formed filter
+   * @param {Object} filter
+   */
+  function normalize(filter) {
+    const source = filter || {};
+    const text = (value) => (typeof value === "string" ? value : "");
+    return {
+      q: text(source.q),
+      owner: text(source.owner).trim(),
+      priority: PRIORITIES.includes(source.priority) ? source.priority : "",
+      due: DUE_RANGES.includes(source.due) ? source.due : "",
+      status: text(source.status),
+      labels: Array.isArray(source.labels) ? source.labels.filter((id) => typeof id === "string") : [],
+    };
+  }
+
+  /**
+   * Whether a filter lets every task through
+   * @param {Object} filter
+   */
+  function isEmpty(filter) {
+    return same(filter, emptyFilter());
+  }
+
+  /**
+   * Whether two filters select the same tasks
+   * @param {Object} a
+   * @param {Object} b
+   */
+  function same(a, b) {
+    const left = normalize(a);
+    const right = normalize(b);
+    return QUERY_FIELDS.every((field) => left[field].trim() === right[field].trim())
+      && left.labels.length === right.labels.length
+      && left.labels.every((id) => right.labels.includes(id));
+  }
+
+  /**
+   * Whether a task passes a filter
+   * @param {Object} task
+   * @param {Object} filter
+   * @param {Function} isDone tells whether a status key is a done column
+   * @param {Date} [today]
+   */
+  function matches(task, filter, isDone, today = new Date()) {
+    const words = filter.q.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length > 0) {
+      const haystack = [task.title, task.owner, task.description].join("\n").toLowerCase();
+      if (!words.every((word) => haystack.includes(word))) return false;
+    }
+    if (filter.owner && (task.owner || "").trim().toLowerCase() !== filter.owner.toLowerCase()) return false;
+    if (filter.priority && (task.priority || "none") !== filter.priority) return false;
+    if (filter.status && task.status !== filter.status) return false;
+    if (filter.labels.length > 0 && !(task.labels || []).some((id) => filter.labels.includes(id))) return false;
+    if (filter.due) {
+      const todayStr = dates.formatDate(today);
+      if (filter.due === "none") return !task.due;
+      if (!task.due) return false;
+      if (filter.due === "overdue") return task.due < todayStr && !isDone(task.status);
+      // This week runs Monday to Sunday
+      const monday = dates.addDays(today, -((today.getDay() + 6) % 7));
+      return task.due >= dates.formatDate(monday) && task.due <= dates.formatDate(dates.addDays(monday, 6));
+    }
+    return true;
+  }
+
+  /**
+   * Encode a filter as a query string ("" for the empty filter). Labels are
+   * written by name, one `label` parameter each, so the URL stays readable
+   * and names may contain commas; `viewName` names the saved view the filter
+   * came from.
+   * @param {Object} filter
+   * @param {Array} labels the board's labels
+   * @param {string} [viewName]
+   */
+  function toQuery(filter, labels, viewName) {
+    const params = new URLSearchParams();
+    if (viewName) params.set("view", viewName);
+    QUERY_FIELDS.forEach((field) => {
+      if (filter[field].trim()) params.set(field, filter[field].trim());
+    });
+    const names = labels.filter((label) => filter.labels.includes(label.id)).map((label) => label.name);
+    names.forEach((name) => params.append("label", name));
+    const query = params.toString();
+    return query ? `?${query}` : "";
+  }
+
+  /**
+   * Decode a query string written by toQuery. A `view` naming a saved view
+   * selects that view; otherwise the individual fields are used. Older
+   * URLs list labels comma-separated in one `labels` parameter.
+   * @param {string} search e.g. `location.search`
+   * @param {Array} labels the board's labels
+   * @param {Array} views the board's saved views
+   */
+  function fromQuery(search, labels, views) {
+    const params = new URLSearchParams(search);
+    const viewName = (params.get("view") || "").toLowerCase();
+    const view = viewName ? views.find((v) => v.name.toLowerCase() === viewName) : null;
+    if (view) return normalize(view.filter);
+    const filter = emptyFilter();
+    QUERY_FIELDS.forEach((field) => {
+      filter[field] = params.get(field) || "";
+    });
+    const names = params.getAll("label")
+      .concat((params.get("labels") || "").split(","))
+      .map((name) => name.toLowerCase());
+    filter.labels = labels.filter((label) => names.includes(label.name.toLowerCase())).map((label) => label.id);
+    return normalize(filter);
+  }
+
+  /**
+   * Load a board's saved views
+   * @param {string} boardId
+   */
+  function loadViews(boardId) {
+    const stored = storage.get(`views:${boardId}`);
+    return Array.isArray(stored)
+      ? stored
+        .filter((view) => view && typeof view.id === "string" && typeof view.name === "string")
+        .map((view) => ({ ...view, filter: normalize(view.filter) }))
+      : [];
+  }
+
+  /**
+   * Save a board's views
+   * @param {string} boardId
+   * @param {Array} views
+   */
+  function saveViews(boardId, views) {
+    storage.set(`views:${boardId}`, views);
+  }
+
+  /**
+   * Save `filter` under `name`, replacing a view of the same name (ignoring
+   * case), and return the view
+   * @param {Array} views
+   * @param {string} name
+   * @param {Object} filter
+   */
+  function saveView(views, name, filter) {
+    const trimmed = name.trim();
+    const existing = views.find((view) => view.name.toLowerCase() === trimmed.toLowerCase());
+    if (existing) {
+      existing.filter = normalize(filter);
+      return existing;
+    }
+    const view = {
+      id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      name: trimmed,
+      filter: normalize(filter),
+    };
+    views.push(view);
+    return view;
+  }
+
+  window.TaskRover.filters = {
+    emptyFilter,
+    normalize,
+    isEmpty,
+    same,
+    matches,
+    toQuery,
+    fromQuery,
+    loadViews,
+    saveViews,
+    saveView,
+  };
+})();
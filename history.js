@@ -0,0 +1,221 @@
+/*
+ * Task history for Task Rover
+ *
+ * Every change to a task is kept as an event in the store under
+ * `activity:<boardId>`, oldest first:
+ *
+ *   { id, at, actor, taskId, title, status, type, changes }
+ *
+ * `type` is "create", "edit", "move" (the task changed column) or "delete";
+ * `status` is the column the task ended up in (or was deleted from); and
+ * `changes` lists `{ field, before, after }` for each field that changed.
+ * Events come from boards.js change notices, so edits made on this device and
+ * ones that arrive through sync are both logged. `actor` is the email of
+ * whoever made the change, or "" when a synced deletion doesn't say. Only the
+ * latest MAX_EVENTS events per board are kept.
+ *
+ * The log also tells how long tasks spent in each column (`columnTimes`),
+ * which the stats page shows.
+ */
+
+(() => {
+  const storage = window.TaskRover.storage;
+  const boardStore = window.TaskRover.boards;
+  const MAX_EVENTS = 500;
+  // Fields compared between versions of a task; others (position, sync stamps) are ignored
+  const FIELDS = ["title", "description", "status", "owner", "priority", "due", "dueTime", "reminders", "labels", "checklist", "recurrence"];
+  const FIELD_NAMES = {
+    title: "title",
+    description: "description",
+    status: "column",
+    owner: "assignee",
+    priority: "priority",
+    due: "due date",
+    dueTime: "due time",
+    reminders: "reminders",
+    labels: "labels",
+    checklist: "checklist",
+    recurrence: "repeat",
+  };
+
+  /**
+   * A field value with every kind of "nothing" made the same
+   * @param {*} value
+   */
+  function normalize(value) {
+    if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) return "";
+    return value;
+  }
+
+  /**
+   * The fields that differ between two versions of a task
+   * @param {Object|null} before
+   * @param {Object|null} after
+   * @returns {Array} `{ field, before, after }` entries
+   */
+  function diff(before, after) {
+    return FIELDS.filter((field) => {
+      const a = normalize(before ? before[field] : undefined);
+      const b = normalize(after ? after[field] : undefined);
+      return JSON.stringify(a) !== JSON.stringify(b);
+    }).map((field) => ({
+      field,
+      before: normalize(before ? before[field] : undefined),
+      after: normalize(after ? after[field] : undefined),
+    }));
+  }
+
+  /**
+   * Load a board's events, oldest first
+   * @param {string} boardId
+   */
+  function load(boardId) {
+    const stored = storage.get(`activity:${boardId}`);
+    return Array.isArray(stored) ? stored : [];
+  }
+
+  /**
+   * The events of one task, newest first
+   * @param {string} boardId
+   * @param {string} taskId
+   */
+  function forTask(boardId, taskId) {
+    return load(boardId).filter((event) => event.taskId === taskId).reverse();
+  }
+
+  /**
+   * Turn change notices from boards.js into events and append them
+   * @param {string} boardId
+   * @param {Array} changes
+   */
+  function record(boardId, changes) {
+    const events = [];
+    changes.forEach((change) => {
+      const task = change.type === "put" ? change.task : null;
+      const fields = diff(change.before, task);
+      if (change.before && task && fields.length === 0) return;
+      let type = "edit";
+      if (!change.before) {
+        type = "create";
+      } else if (!task) {
+        type = "delete";
+      } else if (fields.some((entry) => entry.field === "status")) {
+        type = "move";
+      }
+      const current = task || change.before;
+      events.push({
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        at: task ? task.updatedAt || Date.now() : change.updatedAt,
+        actor: (task ? task.updatedBy : change.updatedBy) || "",
+        taskId: current.id || change.id,
+        title: current.title || "",
+        status: current.status || "",
+        type,
+        changes: type === "create" || type === "delete" ? [] : fields,
+      });
+    });
+    if (events.length === 0) return;
+    const log = load(boardId).concat(events);
+    // Synced changes can be older than ones already logged
+    log.sort((a, b) => a.at - b.at);
+    storage.set(`activity:${boardId}`, log.slice(-MAX_EVENTS));
+  }
+
+  /**
+   * Start logging task changes
+   */
+  function start() {
+    boardStore.onTasksChanged(record);
+  }
+
+  /**
+   * Total and count of the stays tasks made in each column, as far back as
+   * the log goes. A task still in a column counts up to `now`.
+   * @param {Array} events from `load`, oldest first
+   * @param {number} now
+   * @returns {Object} column key → `{ total, stays }` (milliseconds)
+   */
+  function columnTimes(events, now) {
+    const open = new Map();
+    const times = {};
+    const close = (taskId, at) => {
+      const stay = open.get(taskId);
+      if (!stay) return;
+      const time = times[stay.status] || { total: 0, stays: 0 };
+      time.total += Math.max(0, at - stay.since);
+      time.stays += 1;
+      times[stay.status] = time;
+      open.delete(taskId);
+    };
+    events.forEach((event) => {
+      if (event.type === "create" || event.type === "move") {
+        close(event.taskId, event.at);
+        if (event.status) open.set(event.taskId, { status: event.status, since: event.at });
+      } else if (event.type === "delete") {
+        close(event.taskId, event.at);
+      }
+    });
+    Array.from(open.keys()).forEach((taskId) => close(taskId, now));
+    return times;
+  }
+
+  /**
+   * A length of time as "3d 4h", "2h 15m" or "5m"
+   * @param {number} ms
+   */
+  function formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+    if (hours > 0) return `${hours}h ${minutes % 60}m`;
+    return minutes > 0 ? `${minutes}m` : "under a minute";
+  }
+
+  /**
+   * What happened in an event, e.g. "Moved to Done"
+   * @param {Object} event
+   * @param {Object} names display-name lookups, as for `describe`
+   */
+  function summarize(event, names) {
+    if (event.type === "create") return `Created in ${names.column(event.status)}`;
+    if (event.type === "move") return `Moved to ${names.column(event.status)}`;
+    if (event.type === "delete") return "Deleted";
+    return "Edited";
+  }
+
+  /**
+   * Human-readable lines for an event's changes
+   * @param {Object} event
+   * @param {Object} names { column(key), label(id), member(email) } display-name lookups
+   */
+  function describe(event, names) {
+    const show = (field, value) => {
+      if (value === "") return "none";
+      if (field === "status") return names.column(value);
+      if (field === "owner") return names.member(value);
+      if (field === "labels") return value.map(names.label).join(", ");
+      if (field === "checklist") {
+        return `${value.filter((item) => item.done).length}/${value.length} done`;
+      }
+      if (field === "recurrence") return window.TaskRover.recurrence.describe(value);
+      if (field === "reminders") return window.TaskRover.reminders.describe(value);
+      if (field === "description") return `"${value.length > 60 ? `${value.slice(0, 60)}…` : value}"`;
+      return String(value);
+    };
+    return event.changes.map((change) => {
+      const name = FIELD_NAMES[change.field] || change.field;
+      return `${name}: ${show(change.field, change.before)} → ${show(change.field, change.after)}`;
+    });
+  }
+
+  window.TaskRover.history = {
+    load,
+    forTask,
+    start,
+    columnTimes,
+    formatDuration,
+    summarize,
+    describe,
+  };
+})();
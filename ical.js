@@ -0,0 +1,445 @@
+/*
+ * Calendar files for Task Rover
+ *
+ * Writes a board's tasks with a due date as an iCalendar file (RFC 5545),
+ * either as events, which every calendar app shows, or as to-dos, which
+ * apps with a task list (Thunderbird, Outlook, many CalDAV clients) show
+ * there. Tasks with a due time are timed (in floating local time, so they
+ * show at that time wherever the calendar is opened); the others are
+ * all-day. Each item carries the title, description, priority, status,
+ * owner (as CONTACT), labels (as CATEGORIES), a link back to the task and,
+ * for open tasks, the repeat rule. The column goes in X-TASKROVER-COLUMN.
+ *
+ * Calendar files can be read back too: `read` returns the same neutral
+ * shape as importers.js, with each status (or Task Rover column) as a group
+ * the user maps onto a column, so transfer.js previews and merges it like a
+ * Trello or GitHub export. Items that came from Task Rover keep their task
+ * id, so importing an export again updates the tasks.
+ *
+ * This file doesn't depend on the other modules, so the sync server can
+ * load it to publish board feeds (see server/sync-server.js).
+ */
+
+(() => {
+  const PRODUCT_ID = "-//Task Rover//Task Rover//EN";
+  // Suffix of the UIDs Task Rover writes, which carry the task id before it
+  const UID_DOMAIN = "@task-rover";
+  const KINDS = ["event", "todo"];
+  // Length of a timed event; tasks only have a due moment
+  const EVENT_MINUTES = 30;
+  const MAX_LINE_OCTETS = 75;
+  const PRIORITY_VALUES = { high: 1, medium: 5, low: 9 };
+  const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+  const STATUS_GROUPS = {
+    "NEEDS-ACTION": "Needs action",
+    "IN-PROCESS": "In progress",
+    COMPLETED: "Completed",
+  };
+
+  /**
+   * Escape a TEXT value
+   * @param {string} text
+   */
+  function escapeText(text) {
+    return String(text)
+      .replace(/\\/g, "\\\\")
+      .replace(/;/g, "\\;")
+      .replace(/,/g, "\\,")
+      .replace(/\r\n|\r|\n/g, "\\n");
+  }
+
+  /**
+   * Text with control characters (line breaks included) removed, for
+   * values such as ids and links that have no escaping
+   * @param {*} value
+   */
+  function stripControls(value) {
+    return String(value).replace(/[\u0000-\u001f\u007f]/g, "");
+  }
+
+  /**
+   * Undo escapeText
+   * @param {string} value
+   */
+  function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (_, ch) => (ch === "n" || ch === "N" ? "\n" : ch));
+  }
+
+  /**
+   * Split a list value on the commas that aren't escaped
+   * @param {string} value
+   */
+  function splitList(value) {
+    const parts = [""];
+    for (let i = 0; i < value.length; i += 1) {
+      if (value[i] === "\\" && i + 1 < value.length) {
+        parts[parts.length - 1] += value.slice(i, i + 2);
+        i += 1;
+      } else if (value[i] === ",") {
+        parts.push("");
+      } else {
+        parts[parts.length - 1] += value[i];
+      }
+    }
+    return parts.map(unescapeText).map((part) => part.trim()).filter(Boolean);
+  }
+
+  /**
+   * Break a content line into lines of at most 75 octets, continued lines
+   * starting with a space. Characters are never split.
+   * @param {string} line
+   */
+  function fold(line) {
+    const lines = [];
+    let current = "";
+    let octets = 0;
+    for (const ch of line) {
+      const code = ch.codePointAt(0);
+      const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+      // Continued lines lose one octet to the leading space
+      if (octets + size > MAX_LINE_OCTETS - (lines.length > 0 ? 1 : 0)) {
+        lines.push(current);
+        current = "";
+        octets = 0;
+      }
+      current += ch;
+      octets += size;
+    }
+    lines.push(current);
+    return lines.join("\r\n ");
+  }
+
+  /**
+   * A timestamp as a UTC DATE-TIME, e.g. "20261019T143000Z"
+   * @param {number} time
+   */
+  function utcStamp(time) {
+    return new Date(time).toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  }
+
+  /**
+   * Whether a stored timestamp is a real date, so it can be written
+   * @param {*} time
+   */
+  function validTime(time) {
+    return Boolean(time) && Number.isFinite(new Date(time).getTime());
+  }
+
+  /**
+   * A `YYYY-MM-DD` day as a DATE, e.g. "20261019"
+   * @param {string} day
+   */
+  function dateValue(day) {
+    return day.replace(/-/g, "");
+  }
+
+  /**
+   * The DATE after a `YYYY-MM-DD` day
+   * @param {string} day
+   */
+  function nextDateValue(day) {
+    const [year, month, date] = day.split("-").map(Number);
+    return utcStamp(Date.UTC(year, month - 1, date + 1)).slice(0, 8);
+  }
+
+  /**
+   * The RRULE for a repeat rule (see recurrence.js), or ""
+   * @param {Object} rule
+   */
+  function rruleFor(rule) {
+    if (!rule) return "";
+    if (rule.type === "daily") return "FREQ=DAILY";
+    if (rule.type === "weekdays") return "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR";
+    const days = Array.isArray(rule.days) ? rule.days.map((day) => WEEKDAYS[day]).filter(Boolean) : [];
+    if (rule.type === "weekly" && days.length > 0) return `FREQ=WEEKLY;BYDAY=${days.join(",")}`;
+    // Rules come from synced tasks, so numbers are checked before they are written
+    const dayOfMonth = Number(rule.dayOfMonth);
+    if (rule.type === "monthly" && Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= 31) {
+      return `FREQ=MONTHLY;BYMONTHDAY=${dayOfMonth}`;
+    }
+    const every = Number(rule.every);
+    if (rule.type === "interval" && Number.isInteger(every) && every >= 1) return `FREQ=DAILY;INTERVAL=${every}`;
+    return "";
+  }
+
+  /**
+   * The repeat rule for an RRULE, or null when Task Rover can't repeat that way
+   * @param {string} value
+   */
+  function ruleFromRrule(value) {
+    const parts = {};
+    value.split(";").forEach((part) => {
+      const [name, setting] = part.split("=");
+      if (name && setting) parts[name.toUpperCase()] = setting.toUpperCase();
+    });
+    const every = Number(parts.INTERVAL) || 1;
+    const days = parts.BYDAY ? parts.BYDAY.split(",").map((day) => WEEKDAYS.indexOf(day)) : [];
+    if (parts.FREQ === "DAILY") return every > 1 ? { type: "interval", every } : { type: "daily" };
+    if (parts.FREQ === "WEEKLY" && every === 1 && !days.includes(-1)) {
+      if (days.join(",") === "1,2,3,4,5") return { type: "weekdays" };
+      return days.length > 0 ? { type: "weekly", days } : { type: "weekly" };
+    }
+    if (parts.FREQ === "MONTHLY" && every === 1) {
+      const dayOfMonth = Number(parts.BYMONTHDAY);
+      if (!parts.BYMONTHDAY) return { type: "monthly" };
+      return dayOfMonth >= 1 && dayOfMonth <= 31 ? { type: "monthly", dayOfMonth } : null;
+    }
+    return null;
+  }
+
+  /**
+   * Content lines for one task
+   * @param {Object} task
+   * @param {Object} context { kind, columns, labels, link, stamp }
+   */
+  function taskLines(task, { kind, columns, labels, link, stamp }) {
+    const column = columns.find((col) => col.key === task.status);
+    const done = Boolean(column && column.done);
+    const timed = typeof task.dueTime === "string" && /^\d{2}:\d{2}$/.test(task.dueTime);
+    const due = timed ? `${dateValue(task.due)}T${task.dueTime.replace(":", "")}00` : dateValue(task.due);
+    const dateParam = timed ? "" : ";VALUE=DATE";
+    const component = kind === "todo" ? "VTODO" : "VEVENT";
+    const lines = [`BEGIN:${component}`, `UID:${stripControls(task.id)}${UID_DOMAIN}`, `DTSTAMP:${stamp}`];
+    if (validTime(task.createdAt)) lines.push(`CREATED:${utcStamp(task.createdAt)}`);
+    if (validTime(task.updatedAt)) lines.push(`LAST-MODIFIED:${utcStamp(task.updatedAt)}`);
+    lines.push(`SUMMARY:${escapeText(task.title)}`);
+    if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+    if (kind === "todo") {
+      lines.push(`DUE${dateParam}:${due}`);
+      if (done) {
+        lines.push("STATUS:COMPLETED", "PERCENT-COMPLETE:100");
+        if (validTime(task.updatedAt)) lines.push(`COMPLETED:${utcStamp(task.updatedAt)}`);
+      } else {
+        lines.push(`STATUS:${columns.length === 0 || columns[0] === column ? "NEEDS-ACTION" : "IN-PROCESS"}`);
+      }
+    } else {
+      lines.push(`DTSTART${dateParam}:${due}`);
+      lines.push(timed ? `DURATION:PT${EVENT_MINUTES}M` : `DTEND;VALUE=DATE:${nextDateValue(task.due)}`);
+      // A reminder of a deadline shouldn't show the time as busy
+      lines.push("TRANSP:TRANSPARENT");
+    }
+    if (Object.prototype.hasOwnProperty.call(PRIORITY_VALUES, task.priority)) lines.push(`PRIORITY:${PRIORITY_VALUES[task.priority]}`);
+    if (task.owner) lines.push(`CONTACT:${escapeText(task.owner)}`);
+    const taskLabels = Array.isArray(task.labels) ? task.labels : [];
+    const names = labels.filter((label) => taskLabels.includes(label.id)).map((label) => escapeText(label.name));
+    if (names.length > 0) lines.push(`CATEGORIES:${names.join(",")}`);
+    if (column) lines.push(`X-TASKROVER-COLUMN:${escapeText(column.label)}`);
+    const rrule = done ? "" : rruleFor(task.recurrence);
+    if (rrule) lines.push(`RRULE:${rrule}`);
+    const url = link ? link(task) : "";
+    if (url) lines.push(`URL:${stripControls(url)}`);
+    lines.push(`END:${component}`);
+    return lines;
+  }
+
+  /**
+   * A board's tasks with a due date as an iCalendar file
+   * @param {Object} board { name }
+   * @param {Object} data { tasks, columns, labels }
+   * @param {Object} [options] { kind: "event" (default) or "todo",
+   *   link(task) → URL of the task, now }
+   */
+  function toIcs(board, { tasks, columns, labels }, options = {}) {
+    const context = {
+      kind: KINDS.includes(options.kind) ? options.kind : "event",
+      columns: columns || [],
+      labels: labels || [],
+      link: options.link,
+      stamp: utcStamp(validTime(options.now) ? options.now : Date.now()),
+    };
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      `PRODID:${PRODUCT_ID}`,
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      `X-WR-CALNAME:${escapeText(board.name)}`,
+    ];
+    tasks
+      .filter((task) => task && !task.deleted && /^\d{4}-\d{2}-\d{2}$/.test(task.due || ""))
+      .forEach((task) => lines.push(...taskLines(task, context)));
+    lines.push("END:VCALENDAR");
+    return `${lines.map(fold).join("\r\n")}\r\n`;
+  }
+
+  /**
+   * Whether text looks like an iCalendar file
+   * @param {string} text
+   */
+  function detect(text) {
+    return /^BEGIN:VCALENDAR/i.test(text.replace(/^\uFEFF/, "").trim());
+  }
+
+  /**
+   * Split one content line into `{ name, params, value }`
+   * @param {string} line
+   */
+  function parseLine(line) {
+    let quoted = false;
+    let colon = -1;
+    for (let i = 0; i < line.length && colon === -1; i += 1) {
+      if (line[i] === '"') quoted = !quoted;
+      if (line[i] === ":" && !quoted) colon = i;
+    }
+    if (colon === -1) return null;
+    const [name, ...rawParams] = line.slice(0, colon).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    const params = {};
+    rawParams.forEach((param) => {
+      const eq = param.indexOf("=");
+      if (eq > 0) params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, "");
+    });
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+  }
+
+  /**
+   * Read the components of an iCalendar file
+   * @param {string} text
+   * @returns {Array} top-level `{ type, props, children }`
+   */
+  function parse(text) {
+    const lines = [];
+    text.replace(/^\uFEFF/, "").split(/\r\n|\n|\r/).forEach((line) => {
+      if (/^[ \t]/.test(line) && lines.length > 0) {
+        lines[lines.length - 1] += line.slice(1);
+      } else if (line.trim()) {
+        lines.push(line);
+      }
+    });
+    const root = { type: "", props: [], children: [] };
+    const stack = [root];
+    lines.forEach((line) => {
+      const prop = parseLine(line);
+      if (!prop) return;
+      const current = stack[stack.length - 1];
+      if (prop.name === "BEGIN") {
+        const component = { type: prop.value.trim().toUpperCase(), props: [], children: [] };
+        current.children.push(component);
+        stack.push(component);
+      } else if (prop.name === "END") {
+        if (stack.length > 1) stack.pop();
+      } else {
+        current.props.push(prop);
+      }
+    });
+    return root.children;
+  }
+
+  /**
+   * A DATE or DATE-TIME value as `{ day, time }` in local time. Times given
+   * in another zone (TZID) are taken as local.
+   * @param {Object} prop
+   */
+  function readDate(prop) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i.exec(prop.value.trim());
+    if (!match) return null;
+    const [, year, month, day, hours, minutes, , utc] = match;
+    if (hours === undefined || prop.params.VALUE === "DATE") return { day: `${year}-${month}-${day}`, time: "" };
+    if (!utc) return { day: `${year}-${month}-${day}`, time: `${hours}:${minutes}` };
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes)));
+    const pad = (n) => String(n).padStart(2, "0");
+    return {
+      day: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+      time: `${pad(date.getHours())}:${pad(date.getMinutes())}`,
+    };
+  }
+
+  /**
+   * Read an event or to-do into an importer item, or null when it is
+   * cancelled
+   * @param {Object} component
+   */
+  function readItem(component) {
+    const first = (name) => component.props.find((prop) => prop.name === name);
+    const all = (name) => component.props.filter((prop) => prop.name === name);
+    const status = first("STATUS") ? first("STATUS").value.trim().toUpperCase() : "";
+    if (status === "CANCELLED") return null;
+    const dueProp = component.type === "VTODO" ? first("DUE") || first("DTSTART") : first("DTSTART");
+    const due = dueProp ? readDate(dueProp) : null;
+    const uid = first("UID") ? first("UID").value.trim() : "";
+    const column = first("X-TASKROVER-COLUMN") ? unescapeText(first("X-TASKROVER-COLUMN").value).trim() : "";
+    let group = "none";
+    if (column) {
+      group = `column:${column}`;
+    } else if (STATUS_GROUPS[status]) {
+      group = status;
+    }
+    const priority = Number(first("PRIORITY") ? first("PRIORITY").value : 0);
+    let owner = first("CONTACT") ? unescapeText(first("CONTACT").value).trim() : "";
+    if (!owner) {
+      owner = all("ATTENDEE")
+        .map((prop) => prop.params.CN || prop.value.replace(/^mailto:/i, ""))
+        .filter(Boolean)
+        .join(", ");
+    }
+    const created = first("CREATED") ? readDate(first("CREATED")) : null;
+    const rrule = first("RRULE");
+    const endsWithDomain = uid.toLowerCase().endsWith(UID_DOMAIN);
+    return {
+      id: endsWithDomain ? uid.slice(0, -UID_DOMAIN.length) : uid && `ics-${uid}`,
+      group,
+      groupName: column || STATUS_GROUPS[status] || "No status",
+      title: first("SUMMARY") ? unescapeText(first("SUMMARY").value).trim() : "",
+      description: first("DESCRIPTION") ? unescapeText(first("DESCRIPTION").value).trim() : "",
+      labelNames: all("CATEGORIES").flatMap((prop) => splitList(prop.value)),
+      due: due ? due.day : undefined,
+      dueTime: due ? due.time : "",
+      priority: priority >= 1 && priority <= 4 ? "high" : priority === 5 ? "medium" : priority >= 6 && priority <= 9 ? "low" : "",
+      owner,
+      checklist: [],
+      recurrence: rrule ? ruleFromRrule(rrule.value) : null,
+      createdAt: created ? Date.parse(`${created.day}T${created.time || "00:00"}`) || Date.now() : Date.now(),
+    };
+  }
+
+  /**
+   * Read an iCalendar file's events and to-dos in the shape of importers.js
+   * (`{ source, name, groups, items, skipped }`). Groups are the items'
+   * Task Rover columns, or their status.
+   * @param {string} text
+   */
+  function read(text) {
+    const calendars = parse(text).filter((component) => component.type === "VCALENDAR");
+    if (calendars.length === 0) throw new Error("The file is not an iCalendar file.");
+    const items = [];
+    let skipped = 0;
+    let name = "";
+    calendars.forEach((calendar) => {
+      const calName = calendar.props.find((prop) => prop.name === "X-WR-CALNAME");
+      if (!name && calName) name = unescapeText(calName.value).trim();
+      calendar.children
+        .filter((component) => component.type === "VEVENT" || component.type === "VTODO")
+        // Changes to single occurrences of a repeating item aren't tasks of their own
+        .filter((component) => !component.props.some((prop) => prop.name === "RECURRENCE-ID"))
+        .forEach((component) => {
+          const item = readItem(component);
+          if (item) {
+            items.push(item);
+          } else {
+            skipped += 1;
+          }
+        });
+    });
+    const groups = [];
+    items.forEach((item) => {
+      const group = groups.find((g) => g.id === item.group);
+      if (group) {
+        group.count += 1;
+      } else {
+        groups.push({ id: item.group, name: item.groupName, count: 1 });
+      }
+    });
+    return { source: "ical", name: name || "Calendar file", groups, items, skipped };
+  }
+
+  const api = {
+    KINDS,
+    toIcs,
+    detect,
+    read,
+  };
+  if (typeof window === "undefined") {
+    module.exports = api;
+  } else {
+    window.TaskRover.ical = api;
+  }
+})();
@@ -0,0 +1,264 @@
+/*
+ * Importers for other tools' exports
+ *
+ * Reads a Trello board export (Board menu → Print, export and share →
+ * Export as JSON) or a GitHub Issues dump (the JSON returned by the REST
+ * API, or `gh issue list --json ...`) into a neutral shape:
+ *
+ *   { source, name, groups: [{ id, name, count }], items, skipped }
+ *
+ * A group is a Trello list or a GitHub issue state and becomes a column
+ * through a mapping the user can adjust. Calendar files are read into the
+ * same shape by ical.js, with their items' statuses as groups. `toTasks` then turns the items
+ * into raw tasks for transfer.js, which validates and previews them like
+ * any other import. Task ids are derived from the source ids so importing
+ * the same export again updates the tasks instead of duplicating them.
+ */
+
+(() => {
+  const columnStore = window.TaskRover.columns;
+  const dates = window.TaskRover.dates;
+  // Mapping value that creates a new column named after the group
+  const NEW_COLUMN = "+new";
+  // Source labels that set the priority instead of becoming tags
+  const PRIORITY_LABELS = [
+    { pattern: /^(priority[\s:/_-]*)?(urgent|critical|highest|high|p0|p1)$/i, priority: "high" },
+    { pattern: /^(priority[\s:/_-]*)?(medium|normal|p2)$/i, priority: "medium" },
+    { pattern: /^(priority[\s:/_-]*)?(low|lowest|minor|p3|p4)$/i, priority: "low" },
+  ];
+
+  /**
+   * Tell which tool produced a parsed JSON file, or null
+   * @param {*} data
+   */
+  function detect(data) {
+    if (data && !Array.isArray(data) && Array.isArray(data.lists) && Array.isArray(data.cards)) return "trello";
+    const issues = Array.isArray(data) ? data : data && Array.isArray(data.issues) ? data.issues : null;
+    if (issues && issues.length > 0 && issues.every((i) => i && i.number !== undefined && typeof i.title === "string" && i.state)) {
+      return "github";
+    }
+    return null;
+  }
+
+  /**
+   * A timestamp or ISO date-time as a local `YYYY-MM-DD`, or undefined
+   * @param {string} value
+   */
+  function localDay(value) {
+    if (!value) return undefined;
+    const date = new Date(value);
+    return isNaN(date) ? undefined : dates.formatDate(date);
+  }
+
+  /**
+   * Read a Trello board export. Archived cards and cards on archived lists
+   * are skipped, as are empty entries; lists without a name are called
+   * "Untitled list".
+   * @param {Object} data
+   */
+  function readTrello(data) {
+    const lists = data.lists.filter((list) => list && !list.closed);
+    const members = new Map((data.members || []).filter(Boolean).map((m) => [m.id, m.fullName || m.username]));
+    const checklists = (data.checklists || []).filter(Boolean);
+    const items = [];
+    let skipped = 0;
+    data.cards.forEach((card) => {
+      if (!card || card.closed || !lists.some((list) => list.id === card.idList)) {
+        skipped += 1;
+        return;
+      }
+      const checklist = checklists
+        .filter((list) => list.idCard === card.id)
+        .flatMap((list) => (list.checkItems || []).filter(Boolean).sort((a, b) => a.pos - b.pos))
+        .map((item) => ({ text: item.name, done: item.state === "complete" }));
+      const link = card.shortUrl ? `\n\nImported from Trello: ${card.shortUrl}` : "";
+      items.push({
+        id: `trello-${card.id}`,
+        group: card.idList,
+        title: card.name,
+        description: `${card.desc || ""}${link}`.trim(),
+        labelNames: (card.labels || []).filter(Boolean).map((label) => label.name || label.color).filter(Boolean),
+        due: localDay(card.due),
+        owner: (card.idMembers || []).map((id) => members.get(id)).filter(Boolean).join(", "),
+        checklist,
+        // Trello ids start with the creation time in seconds
+        createdAt: parseInt(String(card.id).slice(0, 8), 16) * 1000 || Date.now(),
+      });
+    });
+    return {
+      source: "trello",
+      name: data.name || "Trello board",
+      groups: lists.map((list) => ({
+        id: list.id,
+        name: typeof list.name === "string" && list.name.trim() ? list.name : "Untitled list",
+        count: items.filter((item) => item.group === list.id).length,
+      })),
+      items,
+      skipped,
+    };
+  }
+
+  /**
+   * The `owner/repo` an issue belongs to, from its API or web URL, or "" when
+   * the dump doesn't say
+   * @param {Object} issue
+   */
+  function gitHubRepository(issue) {
+    const api = /\/repos\/([^/]+\/[^/]+)/.exec(issue.repository_url || "");
+    if (api) return api[1];
+    const web = /^https?:\/\/github\.com\/([^/]+\/[^/]+)\//.exec(issue.html_url || issue.url || "");
+    return web ? web[1] : "";
+  }
+
+  /**
+   * Read a GitHub Issues dump. Pull requests are skipped. Ids include the
+   * repository when the dump has it, since issue numbers repeat across repos.
+   * @param {Object|Array} data
+   */
+  function readGitHub(data) {
+    const issues = Array.isArray(data) ? data : data.issues;
+    const items = [];
+    let skipped = 0;
+    issues.forEach((issue) => {
+      if (issue.pull_request || issue.isPullRequest) {
+        skipped += 1;
+        return;
+      }
+      const state = String(issue.state).toLowerCase() === "closed" ? "closed" : "open";
+      const assignees = (issue.assignees && issue.assignees.length > 0 ? issue.assignees : [issue.assignee])
+        .filter(Boolean)
+        .map((person) => person.login || person.name)
+        .filter(Boolean);
+      const milestone = issue.milestone || {};
+      const url = issue.html_url || issue.url;
+      const link = url ? `\n\nImported from GitHub: ${url}` : "";
+      const repository = gitHubRepository(issue);
+      items.push({
+        id: repository ? `gh-${repository}-${issue.number}` : `gh-${issue.number}`,
+        group: state,
+        title: issue.title,
+        description: `${issue.body || ""}${link}`.trim(),
+        labelNames: (issue.labels || []).filter(Boolean).map((label) => (typeof label === "string" ? label : label.name)).filter(Boolean),
+        due: localDay(milestone.due_on || milestone.dueOn),
+        owner: assignees.join(", "),
+        checklist: [],
+        createdAt: Date.parse(issue.created_at || issue.createdAt) || Date.now(),
+      });
+    });
+    const count = (state) => items.filter((item) => item.group === state).length;
+    return {
+      source: "github",
+      name: "GitHub issues",
+      groups: [
+        { id: "open", name: "Open", count: count("open") },
+        { id: "closed", name: "Closed", count: count("closed") },
+      ].filter((group) => group.count > 0),
+      items,
+      skipped,
+    };
+  }
+
+  /**
+   * Read an export of either kind (see detect)
+   * @param {*} data
+   */
+  function read(data) {
+    return detect(data) === "trello" ? readTrello(data) : readGitHub(data);
+  }
+
+  /**
+   * Suggest a column for each group: one whose name matches, the done column
+   * for closed issues and completed calendar items, the second open column
+   * for calendar items in progress and the first open column for the rest.
+   * Groups left out are not recognised and need the user's choice.
+   * @param {Object} parsed result of read
+   * @param {Array} columns
+   */
+  function suggestMapping(parsed, columns) {
+    const mapping = {};
+    parsed.groups.forEach((group) => {
+      const name = group.name.trim().toLowerCase();
+      const match = columns.find((col) => col.label.toLowerCase() === name || col.key === name);
+      if (match) {
+        mapping[group.id] = match.key;
+      } else if (parsed.source === "github" || (parsed.source === "ical" && !group.id.startsWith("column:"))) {
+        const done = columnStore.doneColumn(columns);
+        const open = columns.filter((col) => !col.done);
+        const first = open[0] || columns[0];
+        if ((group.id === "closed" || group.id === "COMPLETED") && done) {
+          mapping[group.id] = done.key;
+        } else if (group.id === "IN-PROCESS") {
+          mapping[group.id] = (open[1] || first).key;
+        } else {
+          mapping[group.id] = first.key;
+        }
+      }
+    });
+    return mapping;
+  }
+
+  /**
+   * Priority named by a source label, or null
+   * @param {string} name
+   */
+  function priorityFor(name) {
+    const rule = PRIORITY_LABELS.find((entry) => entry.pattern.test(name.trim()));
+    return rule ? rule.priority : null;
+  }
+
+  /**
+   * Turn read items into raw tasks for transfer.js. Groups mapped to
+   * NEW_COLUMN (or not mapped at all) get a new column appended to
+   * `columns`, which is changed in place.
+   * @param {Object} parsed result of read
+   * @param {Object} mapping group id → column key or NEW_COLUMN
+   * @param {Array} columns
+   */
+  function toTasks(parsed, mapping, columns) {
+    const statusFor = {};
+    parsed.groups.forEach((group) => {
+      const key = mapping[group.id];
+      if (key && key !== NEW_COLUMN && columns.some((col) => col.key === key)) {
+        statusFor[group.id] = key;
+      } else {
+        const column = { key: columnStore.createKey(group.name, columns), label: group.name, done: false };
+        columns.push(column);
+        statusFor[group.id] = column.key;
+      }
+    });
+    return parsed.items.map((item) => {
+      let priority = item.priority || "";
+      const labelNames = item.labelNames.filter((name) => {
+        const named = priorityFor(name);
+        if (!named) return true;
+        // The highest priority label wins
+        if (!priority || ["high", "medium", "low"].indexOf(named) < ["high", "medium", "low"].indexOf(priority)) {
+          priority = named;
+        }
+        return false;
+      });
+      return {
+        id: item.id,
+        title: item.title,
+        description: item.description,
+        status: statusFor[item.group],
+        owner: item.owner,
+        priority,
+        due: item.due,
+        dueTime: item.dueTime,
+        recurrence: item.recurrence,
+        labelNames,
+        checklist: item.checklist,
+        createdAt: item.createdAt,
+      };
+    });
+  }
+
+  window.TaskRover.importers = {
+    NEW_COLUMN,
+    detect,
+    read,
+    suggestMapping,
+    toTasks,
+  };
+})();
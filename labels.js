@@ -0,0 +1,85 @@
+/*
+ * Task labels for Task Rover
+ *
+ * Labels are user-defined tags such as "bug" or "design". Each board keeps
+ * its own list in the shared store (storage.js) under `labels:<boardId>` as
+ * `{ id, name, color }` objects; a task lists the ids of its labels in
+ * `task.labels`. Names are unique per board, ignoring case.
+ */
+
+(() => {
+  const storage = window.TaskRover.storage;
+
+  // Colours handed out to new labels in turn
+  const PALETTE = ["#ef4444", "#f59e0b", "#22c55e", "#14b8a6", "#4f8cff", "#8b5cf6", "#ec4899", "#6b7280"];
+
+  /**
+   * Load a board's labels
+   * @param {string} boardId
+   */
+  function loadLabels(boardId) {
+    const stored = storage.get(`labels:${boardId}`);
+    return Array.isArray(stored)
+      ? stored.filter((label) => label && typeof label.id === "string" && typeof label.name === "string")
+      : [];
+  }
+
+  /**
+   * Save a board's labels
+   * @param {string} boardId
+   * @param {Array} labels
+   */
+  function saveLabels(boardId, labels) {
+    storage.set(`labels:${boardId}`, labels);
+  }
+
+  /**
+   * Find a label by name, ignoring case
+   * @param {Array} labels
+   * @param {string} name
+   */
+  function findByName(labels, name) {
+    const wanted = name.trim().toLowerCase();
+    return labels.find((label) => label.name.toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * Append a label to the list and return it. An existing label with the
+   * same name is returned instead of creating a duplicate.
+   * @param {Array} labels
+   * @param {string} name
+   * @param {string} [color] defaults to the next palette colour
+   */
+  function createLabel(labels, name, color) {
+    const existing = findByName(labels, name);
+    if (existing) return existing;
+    const label = {
+      id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      name: name.trim(),
+      color: color || PALETTE[labels.length % PALETTE.length],
+    };
+    labels.push(label);
+    return label;
+  }
+
+  /**
+   * Black or white, whichever reads better on `color` (a #rrggbb value)
+   * @param {string} color
+   */
+  function textColorFor(color) {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || "");
+    if (!match) return "#ffffff";
+    const [r, g, b] = match.slice(1).map((hex) => parseInt(hex, 16));
+    const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+    return luminance > 0.6 ? "#0f1115" : "#ffffff";
+  }
+
+  window.TaskRover.labels = {
+    PALETTE,
+    loadLabels,
+    saveLabels,
+    findByName,
+    createLabel,
+    textColorFor,
+  };
+})();
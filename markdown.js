@@ -0,0 +1,166 @@
+/*
+ * Markdown rendering for Task Rover task descriptions
+ *
+ * Supports a deliberately small subset: headings (`#` to `######`), bullet
+ * and numbered lists, task checkboxes (`- [ ]` / `- [x]`), links
+ * (`[text](url)`), inline code, fenced code blocks, bold and italics.
+ *
+ * The output is built with `createElement` and `textContent` only, never by
+ * assigning HTML strings, so text typed by the user can not inject markup or
+ * scripts. Links are limited to http(s) and mailto URLs and always open in a
+ * new tab without access to this page.
+ */
+
+(() => {
+  const SAFE_PROTOCOLS = ["http:", "https:", "mailto:"];
+  const INLINE_PATTERN = /`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|\*\*([^*]+)\*\*|__([^_]+)__|\*([^*\s][^*]*)\*|_([^_\s][^_]*)_/;
+  const LIST_ITEM_PATTERN = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+  const CHECKBOX_PATTERN = /^\[([ xX])\]\s+(.*)$/;
+  const HEADING_PATTERN = /^(#{1,6})\s+(.*)$/;
+
+  /**
+   * Resolve a link target, or return null when its protocol is not allowed
+   * @param {string} url
+   */
+  function safeUrl(url) {
+    try {
+      const parsed = new URL(url, window.location.href);
+      return SAFE_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Append inline content (code, links, emphasis, plain text) to `parent`
+   * @param {Node} parent
+   * @param {string} text
+   */
+  function renderInline(parent, text) {
+    let rest = text;
+    while (rest) {
+      const match = INLINE_PATTERN.exec(rest);
+      if (!match) {
+        parent.appendChild(document.createTextNode(rest));
+        return;
+      }
+      if (match.index > 0) {
+        parent.appendChild(document.createTextNode(rest.slice(0, match.index)));
+      }
+      const [whole, code, linkText, linkUrl, strong, strongAlt, em, emAlt] = match;
+      if (code !== undefined) {
+        const el = document.createElement("code");
+        el.textContent = code;
+        parent.appendChild(el);
+      } else if (linkText !== undefined) {
+        const href = safeUrl(linkUrl);
+        if (href) {
+          const a = document.createElement("a");
+          a.href = href;
+          a.target = "_blank";
+          a.rel = "noopener noreferrer";
+          renderInline(a, linkText);
+          parent.appendChild(a);
+        } else {
+          parent.appendChild(document.createTextNode(whole));
+        }
+      } else if (strong !== undefined || strongAlt !== undefined) {
+        const el = document.createElement("strong");
+        renderInline(el, strong !== undefined ? strong : strongAlt);
+        parent.appendChild(el);
+      } else {
+        const el = document.createElement("em");
+        renderInline(el, em !== undefined ? em : emAlt);
+        parent.appendChild(el);
+      }
+      rest = rest.slice(match.index + whole.length);
+    }
+  }
+
+  /**
+   * Render Markdown source into a DocumentFragment
+   * @param {string} source
+   */
+  function render(source) {
+    const fragment = document.createDocumentFragment();
+    const lines = String(source || "").replace(/\r\n?/g, "\n").split("\n");
+    let paragraph = null;
+    let list = null;
+
+    const closeBlocks = () => {
+      paragraph = null;
+      list = null;
+    };
+
+    for (let i = 0; i < lines.length; i += 1) {
+      const line = lines[i];
+      // Fenced code block: everything up to the closing fence is literal
+      if (/^\s*```/.test(line)) {
+        closeBlocks();
+        const code = [];
+        i += 1;
+        while (i < lines.length && !/^\s*```/.test(lines[i])) {
+          code.push(lines[i]);
+          i += 1;
+        }
+        const pre = document.createElement("pre");
+        const codeEl = document.createElement("code");
+        codeEl.textContent = code.join("\n");
+        pre.appendChild(codeEl);
+        fragment.appendChild(pre);
+        continue;
+      }
+      if (!line.trim()) {
+        closeBlocks();
+        continue;
+      }
+      const heading = HEADING_PATTERN.exec(line);
+      if (heading) {
+        closeBlocks();
+        const el = document.createElement(`h${heading[1].length}`);
+        renderInline(el, heading[2].trim());
+        fragment.appendChild(el);
+        continue;
+      }
+      const item = LIST_ITEM_PATTERN.exec(line);
+      if (item) {
+        paragraph = null;
+        const tag = /\d/.test(item[1]) ? "ol" : "ul";
+        if (!list || list.tagName.toLowerCase() !== tag) {
+          list = document.createElement(tag);
+          fragment.appendChild(list);
+        }
+        const li = document.createElement("li");
+        const checkbox = CHECKBOX_PATTERN.exec(item[2]);
+        if (checkbox) {
+          li.className = "task-list-item";
+          const input = document.createElement("input");
+          input.type = "checkbox";
+          input.disabled = true;
+          input.checked = checkbox[1] !== " ";
+          li.appendChild(input);
+          li.appendChild(document.createTextNode(" "));
+          renderInline(li, checkbox[2]);
+        } else {
+          renderInline(li, item[2]);
+        }
+        list.appendChild(li);
+        continue;
+      }
+      // Plain text: consecutive lines form one paragraph with line breaks
+      list = null;
+      if (paragraph) {
+        paragraph.appendChild(document.createElement("br"));
+      } else {
+        paragraph = document.createElement("p");
+        fragment.appendChild(paragraph);
+      }
+      renderInline(paragraph, line.trim());
+    }
+    return fragment;
+  }
+
+  window.TaskRover.markdown = {
+    render,
+  };
+})();
@@ -0,0 +1,86 @@
+/*
+ * Offline install for Task Rover
+ *
+ * Registers the service worker (sw.js) that caches the app's files, so every
+ * page opens without a network once it has been visited, and the app can be
+ * installed from the browser with manifest.webmanifest.
+ *
+ * When a newer version of the app has been downloaded it waits in the
+ * background rather than swapping files under an open page. A banner offers
+ * to reload into it; accepting tells the waiting worker to take over, and
+ * every open page reloads once it has.
+ */
+
+(() => {
+  window.TaskRover = window.TaskRover || {};
+  let banner = null;
+
+  /**
+   * Show the "update available" banner for a worker that is waiting
+   * @param {ServiceWorker} worker
+   */
+  function offerUpdate(worker) {
+    if (!banner) {
+      banner = document.createElement("div");
+      banner.className = "update-banner";
+      banner.setAttribute("role", "status");
+      const text = document.createElement("span");
+      text.textContent = "A new version of Task Rover is available.";
+      const reloadBtn = document.createElement("button");
+      reloadBtn.type = "button";
+      reloadBtn.textContent = "Reload";
+      const laterBtn = document.createElement("button");
+      laterBtn.type = "button";
+      laterBtn.textContent = "Later";
+      laterBtn.addEventListener("click", () => banner.classList.add("hidden"));
+      banner.append(text, reloadBtn, laterBtn);
+      (document.getElementById("appWrapper") || document.body).appendChild(banner);
+    }
+    banner.querySelector("button").onclick = () => worker.postMessage({ type: "skipWaiting" });
+    banner.classList.remove("hidden");
+  }
+
+  /**
+   * Offer an update once an installing worker is ready, unless it is the
+   * first one, which takes over straight away
+   * @param {ServiceWorker} worker
+   */
+  function watchInstalling(worker) {
+    worker.addEventListener("statechange", () => {
+      if (worker.state === "installed" && navigator.serviceWorker.controller) {
+        offerUpdate(worker);
+      }
+    });
+  }
+
+  /**
+   * Register the service worker and watch for new versions
+   */
+  function register() {
+    // Service workers need http(s); opening the files directly skips this
+    if (!("serviceWorker" in navigator) || !/^https?:$/.test(window.location.protocol)) {
+      return Promise.resolve(null);
+    }
+    let reloading = false;
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      // The first worker taking over a page isn't an update
+      if (reloading || !banner) return;
+      reloading = true;
+      window.location.reload();
+    });
+    return navigator.serviceWorker.register("sw.js").then((registration) => {
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        offerUpdate(registration.waiting);
+      }
+      if (registration.installing) watchInstalling(registration.installing);
+      registration.addEventListener("updatefound", () => watchInstalling(registration.installing));
+      return registration;
+    }).catch(() => null);
+  }
+
+  window.addEventListener("load", register);
+
+  window.TaskRover.pwa = {
+    register,
+  };
+})();
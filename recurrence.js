@@ -0,0 +1,161 @@
+/*
+ * Recurring tasks for Task Rover
+ *
+ * A task may carry a `recurrence` rule. When it is completed, board.js adds
+ * a fresh copy of the task due on the next date the rule produces. Rules
+ * are plain objects so they can be stored with the task:
+ *
+ *   { type: "daily" }
+ *   { type: "weekdays" }                      Monday to Friday
+ *   { type: "weekly", days: [1, 4] }          0 = Sunday ... 6 = Saturday
+ *   { type: "monthly", dayOfMonth: 15 }       clamped to short months
+ *   { type: "interval", every: 3 }            every N days
+ *
+ * Dates are handled as `YYYY-MM-DD` strings in local time, like `task.due`.
+ */
+
+(() => {
+  const dates = window.TaskRover.dates;
+  const TYPES = ["daily", "weekdays", "weekly", "monthly", "interval"];
+  const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+  const DAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+  const MAX_INTERVAL = 365;
+
+  /**
+   * Check a stored rule and fill in anything missing. Weekly and monthly
+   * rules without days take them from `due` (or today). Returns null for
+   * anything that is not a valid rule.
+   * @param {Object} rule
+   * @param {string} [due]
+   */
+  function normalize(rule, due) {
+    if (!rule || !TYPES.includes(rule.type)) return null;
+    const anchor = dates.parseDate(due) || new Date();
+    if (rule.type === "weekly") {
+      const days = Array.isArray(rule.days)
+        ? Array.from(new Set(rule.days.map(Number).filter((d) => d >= 0 && d <= 6))).sort((a, b) => a - b)
+        : [];
+      return { type: "weekly", days: days.length > 0 ? days : [anchor.getDay()] };
+    }
+    if (rule.type === "monthly") {
+      const day = Math.round(Number(rule.dayOfMonth));
+      return { type: "monthly", dayOfMonth: day >= 1 && day <= 31 ? day : anchor.getDate() };
+    }
+    if (rule.type === "interval") {
+      const every = Math.round(Number(rule.every));
+      return { type: "interval", every: every >= 1 ? Math.min(every, MAX_INTERVAL) : 1 };
+    }
+    return { type: rule.type };
+  }
+
+  /**
+   * The first date the rule produces strictly after `date`
+   * @param {Object} rule a normalized rule
+   * @param {Date} date
+   */
+  function stepAfter(rule, date) {
+    const next = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    switch (rule.type) {
+      case "weekdays":
+        while (next.getDay() === 0 || next.getDay() === 6) next.setDate(next.getDate() + 1);
+        return next;
+      case "weekly":
+        while (!rule.days.includes(next.getDay())) next.setDate(next.getDate() + 1);
+        return next;
+      case "monthly": {
+        // This month if the day is still ahead, otherwise next month
+        let year = date.getFullYear();
+        let month = date.getMonth();
+        const lastDay = (y, m) => new Date(y, m + 1, 0).getDate();
+        if (Math.min(rule.dayOfMonth, lastDay(year, month)) <= date.getDate()) {
+          month += 1;
+          if (month > 11) {
+            month = 0;
+            year += 1;
+          }
+        }
+        return new Date(year, month, Math.min(rule.dayOfMonth, lastDay(year, month)));
+      }
+      case "interval":
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + rule.every);
+      default:
+        return next;
+    }
+  }
+
+  /**
+   * Due date of the next occurrence: the first date after `due` that the
+   * rule produces, skipping ahead past any dates already behind `today` so
+   * an overdue chore does not come back overdue.
+   * @param {Object} rule
+   * @param {string} [due] the completed occurrence's due date
+   * @param {Date} [today]
+   */
+  function nextDue(rule, due, today = new Date()) {
+    const normalized = normalize(rule, due);
+    if (!normalized) return null;
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    let date = stepAfter(normalized, dates.parseDate(due) || start);
+    while (date < start) {
+      date = stepAfter(normalized, date);
+    }
+    return dates.formatDate(date);
+  }
+
+  /**
+   * Parse a quick-add token such as `*weekly`, `*weekly:mon,thu`,
+   * `*monthly:15` or `*every:3` (without the asterisk). Returns null when
+   * the token is not a recurrence.
+   * @param {string} token
+   */
+  function parse(token) {
+    const match = /^(daily|weekdays|weekly|monthly|every)(?::([\w,]+))?$/i.exec(token || "");
+    if (!match) return null;
+    const type = match[1].toLowerCase();
+    const arg = match[2] ? match[2].toLowerCase() : "";
+    if (type === "weekly") {
+      const days = arg ? arg.split(",").map((name) => DAY_NAMES.indexOf(name.slice(0, 3))) : [];
+      if (days.includes(-1)) return null;
+      return days.length > 0 ? { type, days } : { type };
+    }
+    if (type === "monthly") {
+      if (!arg) return { type };
+      return /^\d{1,2}$/.test(arg) ? { type, dayOfMonth: Number(arg) } : null;
+    }
+    if (type === "every") {
+      return /^\d{1,3}$/.test(arg) && Number(arg) >= 1 ? { type: "interval", every: Number(arg) } : null;
+    }
+    return arg ? null : { type };
+  }
+
+  /**
+   * Short human description, e.g. "Weekly on Mon, Thu"
+   * @param {Object} rule
+   */
+  function describe(rule) {
+    if (!rule) return "";
+    switch (rule.type) {
+      case "daily":
+        return "Daily";
+      case "weekdays":
+        return "Every weekday";
+      case "weekly":
+        return Array.isArray(rule.days) && rule.days.length > 0
+          ? `Weekly on ${rule.days.map((d) => DAY_LABELS[d]).join(", ")}`
+          : "Weekly";
+      case "monthly":
+        return rule.dayOfMonth ? `Monthly on day ${rule.dayOfMonth}` : "Monthly";
+      case "interval":
+        return rule.every === 1 ? "Daily" : `Every ${rule.every} days`;
+      default:
+        return "";
+    }
+  }
+
+  window.TaskRover.recurrence = {
+    normalize,
+    nextDue,
+    parse,
+    describe,
+  };
+})();
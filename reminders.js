@@ -0,0 +1,337 @@
+/*
+ * Due-date reminders for Task Rover
+ *
+ * A task can have a due time (`dueTime`, `HH:MM` in local time, only with a
+ * due date) and a list of reminders (`reminders`), each one of the keys in
+ * REMINDERS. Tasks without a due time count as due at MORNING_HOUR for
+ * reminders. Tasks in a board's done column never remind.
+ *
+ * While a page that calls `start` is open, reminders across all of the
+ * user's open boards are checked every CHECK_INTERVAL and shown with the
+ * Notifications API, or passed to a fallback (board.js shows a toast) when
+ * notifications aren't allowed. Reminders only fire while they are due, not
+ * for moments that passed before the page opened; the daily digest covers
+ * those. The coming week's reminders are also handed to the service worker
+ * (sw.js), which shows them from a periodic background sync when no page is
+ * open, in browsers that allow one. The worker keeps each user's reminders
+ * apart, and `forget` drops them when the user signs out.
+ *
+ * The daily digest lists open tasks that are overdue or due today; board.js
+ * shows it the first time the board is opened each day.
+ */
+
+(() => {
+  const storage = window.TaskRover.storage;
+  const boardStore = window.TaskRover.boards;
+  const columnStore = window.TaskRover.columns;
+  const dates = window.TaskRover.dates;
+  const MORNING_HOUR = 9;
+  const CHECK_INTERVAL = 30 * 1000;
+  // How far ahead the service worker is told about
+  const HANDOFF_WINDOW = 7 * 24 * 60 * 60 * 1000;
+  const MINUTE = 60 * 1000;
+  const PERIODIC_SYNC_TAG = "task-rover-reminders";
+  const REMINDERS = [
+    { key: "at", label: "At due time", before: 0 },
+    { key: "15m", label: "15 minutes before", before: 15 * MINUTE },
+    { key: "1h", label: "1 hour before", before: 60 * MINUTE },
+    { key: "1d", label: "1 day before", before: 24 * 60 * MINUTE },
+    { key: "morning", label: "Morning of" },
+  ];
+  let timer = null;
+  let lastCheck = 0;
+  let handedOff = "";
+  let fallback = null;
+  let user = "";
+
+  /**
+   * A due time as `HH:MM`, or "" when it isn't one
+   * @param {*} value
+   */
+  function normalizeTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || "").trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return "";
+    return `${match[1].padStart(2, "0")}:${match[2]}`;
+  }
+
+  /**
+   * Known reminder keys from a list, once each and in REMINDERS order
+   * @param {*} list
+   */
+  function normalize(list) {
+    if (!Array.isArray(list)) return [];
+    return REMINDERS.map((option) => option.key).filter((key) => list.includes(key));
+  }
+
+  /**
+   * When a task is due, as a timestamp, or null without a due date
+   * @param {Object} task
+   */
+  function dueAt(task) {
+    const date = dates.parseDate(task.due);
+    if (!date) return null;
+    const time = normalizeTime(task.dueTime);
+    if (time) {
+      date.setHours(Number(time.slice(0, 2)), Number(time.slice(3)));
+    } else {
+      date.setHours(MORNING_HOUR);
+    }
+    return date.getTime();
+  }
+
+  /**
+   * When each of a task's reminders goes off
+   * @param {Object} task
+   * @returns {Array} `{ key, at }`, earliest first
+   */
+  function times(task) {
+    const due = dueAt(task);
+    if (due === null) return [];
+    return normalize(task.reminders).map((key) => {
+      const option = REMINDERS.find((o) => o.key === key);
+      if (option.before !== undefined) return { key, at: due - option.before };
+      const morning = dates.parseDate(task.due);
+      morning.setHours(MORNING_HOUR);
+      return { key, at: morning.getTime() };
+    }).sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * A due time for display, e.g. "2:30 PM" or "14:30" depending on locale
+   * @param {string} value `HH:MM`
+   */
+  function formatTime(value) {
+    const time = normalizeTime(value);
+    if (!time) return "";
+    const date = new Date(2000, 0, 1, Number(time.slice(0, 2)), Number(time.slice(3)));
+    return date.toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" });
+  }
+
+  /**
+   * Reminder keys as words, e.g. "1 hour before, morning of"
+   * @param {Array} list
+   */
+  function describe(list) {
+    return normalize(list)
+      .map((key, i) => {
+        const label = REMINDERS.find((o) => o.key === key).label;
+        return i === 0 ? label : label.toLowerCase();
+      })
+      .join(", ");
+  }
+
+  /**
+   * Open tasks with a valid due date on the user's open boards
+   * @returns {Array} `{ board, task }`
+   */
+  function openTasks() {
+    const stored = storage.get("boards");
+    const found = [];
+    boardStore.activeBoards(Array.isArray(stored) ? stored : []).forEach((board) => {
+      const columns = columnStore.loadColumns(board.id);
+      const tasks = storage.get(`tasks:${board.id}`);
+      (Array.isArray(tasks) ? tasks : []).forEach((task) => {
+        if (task && dates.parseDate(task.due) && !columnStore.isDone(columns, task.status)) found.push({ board, task });
+      });
+    });
+    return found;
+  }
+
+  /**
+   * Reminders going off in a span of time
+   * @param {number} from exclusive
+   * @param {number} to inclusive
+   * @returns {Array} `{ id, at, boardId, taskId, title, body }`, earliest first
+   */
+  function between(from, to) {
+    const found = [];
+    openTasks().forEach(({ board, task }) => {
+      times(task).forEach(({ key, at }) => {
+        if (at <= from || at > to) return;
+        found.push({
+          id: `${task.id}:${key}:${at}`,
+          at,
+          boardId: board.id,
+          taskId: task.id,
+          title: task.title,
+          body: `${dueText(task)} · ${board.name}`,
+        });
+      });
+    });
+    return found.sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * "Due today at 2:30 PM", "Due tomorrow", "Due Oct 21"
+   * @param {Object} task
+   */
+  function dueText(task) {
+    const today = dates.addDays(new Date());
+    const date = dates.parseDate(task.due);
+    const days = Math.round((date - today) / (24 * 60 * MINUTE));
+    let day = `Due ${date.toLocaleDateString(undefined, { month: "short", day: "numeric" })}`;
+    if (days === 0) day = "Due today";
+    if (days === 1) day = "Due tomorrow";
+    if (days < 0) day = `Overdue since ${date.toLocaleDateString(undefined, { month: "short", day: "numeric" })}`;
+    return task.dueTime ? `${day} at ${formatTime(task.dueTime)}` : day;
+  }
+
+  /**
+   * Whether reminders can be shown as notifications: "granted", "default"
+   * (not asked yet), "denied" or "unsupported"
+   */
+  function permission() {
+    return "Notification" in window ? Notification.permission : "unsupported";
+  }
+
+  /**
+   * Ask for permission to show notifications. Must be called from a click.
+   * @returns {Promise<string>} the resulting permission
+   */
+  function requestPermission() {
+    if (permission() !== "default") return Promise.resolve(permission());
+    return Promise.resolve(Notification.requestPermission()).then(() => permission());
+  }
+
+  /**
+   * Show a reminder as a notification, through the service worker when one
+   * controls the page (required on Android, and it handles clicks)
+   * @param {Object} reminder from `between`
+   */
+  function show(reminder) {
+    const options = {
+      body: reminder.body,
+      tag: reminder.id,
+      icon: "icons/icon-192.png",
+      data: { boardId: reminder.boardId, taskId: reminder.taskId },
+    };
+    if ("serviceWorker" in navigator && navigator.serviceWorker.controller) {
+      return navigator.serviceWorker.ready.then((registration) => registration.showNotification(reminder.title, options));
+    }
+    const notification = new Notification(reminder.title, options);
+    notification.onclick = () => {
+      window.focus();
+      window.location.hash = `board=${encodeURIComponent(reminder.boardId)}&task=${encodeURIComponent(reminder.taskId)}`;
+      notification.close();
+    };
+    return Promise.resolve();
+  }
+
+  /**
+   * Fire reminders that came due since the last check, and tell the service
+   * worker about the ones still to come
+   */
+  function check() {
+    const now = Date.now();
+    const due = between(lastCheck, now);
+    // Move on first, so a reminder that fails to show isn't fired again
+    lastCheck = now;
+    due.forEach((reminder) => {
+      if (permission() === "granted") {
+        try {
+          show(reminder).catch(() => fallback && fallback(reminder));
+        } catch (_) {
+          // new Notification() throws where pages may not create them (Android)
+          if (fallback) fallback(reminder);
+        }
+      } else if (fallback) {
+        fallback(reminder);
+      }
+    });
+    handOff(between(now, now + HANDOFF_WINDOW));
+  }
+
+  /**
+   * Give the service worker the coming reminders, for when no page is open
+   * @param {Array} upcoming
+   */
+  function handOff(upcoming) {
+    if (!("serviceWorker" in navigator) || permission() !== "granted") return;
+    const message = JSON.stringify(upcoming);
+    if (message === handedOff) return;
+    navigator.serviceWorker.ready.then((registration) => {
+      registration.active.postMessage({ type: "reminders", user, reminders: upcoming });
+      handedOff = message;
+      if (registration.periodicSync) {
+        // Only installed apps get periodic syncs; elsewhere this is refused
+        return registration.periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: 15 * MINUTE });
+      }
+      return null;
+    }).catch(() => {});
+  }
+
+  /**
+   * Start checking reminders
+   * @param {Object} [options] { user, the signed-in user's email, and
+   *   fallback(reminder) for when notifications can't be shown }
+   */
+  function start(options = {}) {
+    user = options.user || "";
+    fallback = options.fallback || null;
+    lastCheck = Date.now();
+    clearInterval(timer);
+    timer = setInterval(check, CHECK_INTERVAL);
+    check();
+  }
+
+  /**
+   * Stop checking reminders and have the service worker drop the ones it
+   * was given, so none show up after the user signs out
+   * @returns {Promise}
+   */
+  function forget() {
+    clearInterval(timer);
+    timer = null;
+    handedOff = "";
+    if (!("serviceWorker" in navigator)) return Promise.resolve();
+    return navigator.serviceWorker.getRegistration().then((registration) => {
+      if (!registration) return null;
+      if (registration.active) registration.active.postMessage({ type: "forgetReminders", user });
+      return registration.periodicSync ? registration.periodicSync.unregister(PERIODIC_SYNC_TAG) : null;
+    }).catch(() => {});
+  }
+
+  /**
+   * Open tasks that are overdue or due today
+   * @returns {Object} `{ overdue, today }`, lists of `{ board, task }`
+   */
+  function digest() {
+    const today = dates.formatDate(new Date());
+    const overdue = [];
+    const dueToday = [];
+    openTasks().forEach((entry) => {
+      if (entry.task.due < today) overdue.push(entry);
+      if (entry.task.due === today) dueToday.push(entry);
+    });
+    const byDue = (a, b) => (dueAt(a.task) - dueAt(b.task)) || String(a.task.title || "").localeCompare(String(b.task.title || ""));
+    return { overdue: overdue.sort(byDue), today: dueToday.sort(byDue) };
+  }
+
+  /**
+   * Whether today's digest is still to be shown. Marks it shown.
+   */
+  function takeDigest() {
+    const today = dates.formatDate(new Date());
+    if (storage.get("digestShownOn") === today) return false;
+    storage.set("digestShownOn", today);
+    return true;
+  }
+
+  window.TaskRover.reminders = {
+    REMINDERS,
+    normalizeTime,
+    normalize,
+    dueAt,
+    times,
+    formatTime,
+    describe,
+    dueText,
+    permission,
+    requestPermission,
+    start,
+    forget,
+    check,
+    digest,
+    takeDigest,
+  };
+})();
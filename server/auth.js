@@ -0,0 +1,187 @@
+/*
+ * Passwordless sign-in for the reference server
+ *
+ * A sign-in link carries a token of the form `<payload>.<signature>`: the
+ * payload is base64url JSON `{ email, exp, nonce }` and the signature an
+ * HMAC-SHA256 of it with the server secret. A token is accepted once and
+ * only before `exp`; used nonces are remembered until they expire.
+ *
+ * Verifying a link starts a session. The session token is random and only
+ * its SHA-256 hash is stored, together with the email and expiry, in
+ * `<data>/auth.json`; clients send it as `Authorization: Bearer <token>`.
+ * Signing out deletes the session.
+ *
+ * Calendar apps can't sign in, so board feeds are read with a feed token in
+ * the URL instead: `<payload>.<signature>` with the payload `{ email, board }`
+ * and the signature made with the same secret, for a different purpose so
+ * that it can't pass as a sign-in link. Feed tokens don't expire; the server
+ * checks that the email still belongs to the board on every read.
+ *
+ * The secret comes from the TASK_ROVER_SECRET environment variable, or is
+ * generated once and kept in `<data>/secret.key`.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const LINK_TTL_MS = 15 * 60 * 1000;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const base64url = (buffer) => Buffer.from(buffer).toString("base64url");
+const hash = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+/**
+ * The signing secret, created on first start if none is configured. `dir`
+ * must not be served to anyone (sync-server.js keeps it outside the app).
+ * @param {string} dir
+ */
+function loadSecret(dir) {
+  if (process.env.TASK_ROVER_SECRET) return process.env.TASK_ROVER_SECRET;
+  const file = path.join(dir, "secret.key");
+  if (!fs.existsSync(file)) {
+    fs.writeFileSync(file, crypto.randomBytes(32).toString("hex"), { mode: 0o600 });
+  }
+  return fs.readFileSync(file, "utf8").trim();
+}
+
+/**
+ * Create the sign-in service
+ * @param {Object} options { data, appUrl, mailer }
+ */
+function createAuth(options) {
+  fs.mkdirSync(options.data, { recursive: true });
+  const secret = loadSecret(options.data);
+  const file = path.join(options.data, "auth.json");
+  const state = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, "utf8"))
+    : { sessions: {}, usedLinks: {} };
+
+  /**
+   * Drop expired sessions and used links, then write the state to disk
+   */
+  function save() {
+    const now = Date.now();
+    Object.keys(state.sessions).forEach((key) => {
+      if (state.sessions[key].expiresAt < now) delete state.sessions[key];
+    });
+    Object.keys(state.usedLinks).forEach((nonce) => {
+      if (state.usedLinks[nonce] < now) delete state.usedLinks[nonce];
+    });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(state), { mode: 0o600 });
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  const sign = (payload) => base64url(crypto.createHmac("sha256", secret).update(payload).digest());
+
+  /**
+   * Email a sign-in link. Resolves the same way whether or not the address
+   * has been seen before.
+   * @param {string} email
+   */
+  function requestLink(email) {
+    const address = String(email || "").trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(address)) {
+      return Promise.reject(Object.assign(new Error("Please enter a valid email address."), { status: 400 }));
+    }
+    const payload = base64url(JSON.stringify({
+      email: address,
+      exp: Date.now() + LINK_TTL_MS,
+      nonce: crypto.randomBytes(16).toString("hex"),
+    }));
+    const link = `${options.appUrl.replace(/\/+$/, "")}/callback.html#token=${payload}.${sign(payload)}`;
+    return options.mailer.send({
+      to: address,
+      subject: "Your Task Rover sign-in link",
+      text: `Open this link to sign in to Task Rover:\n\n${link}\n\nIt works once and expires in ${LINK_TTL_MS / 60000} minutes. If you didn't ask to sign in, you can ignore this email.`,
+    });
+  }
+
+  /**
+   * Check a link token and start a session for its email
+   * @param {string} token
+   * @returns {Object} { token, email, expiresAt }
+   */
+  function verifyLink(token) {
+    const invalid = () => Object.assign(new Error("This sign-in link is invalid or has expired."), { status: 401 });
+    const [payload, signature] = String(token || "").split(".");
+    if (!payload || !signature) throw invalid();
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) throw invalid();
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    } catch (_) {
+      throw invalid();
+    }
+    if (!claims.exp || claims.exp < Date.now() || state.usedLinks[claims.nonce]) throw invalid();
+    state.usedLinks[claims.nonce] = claims.exp;
+    const session = crypto.randomBytes(32).toString("base64url");
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    state.sessions[hash(session)] = { email: claims.email, expiresAt };
+    save();
+    return { token: session, email: claims.email, expiresAt };
+  }
+
+  /**
+   * The bearer token sent with a request, or ""
+   * @param {http.IncomingMessage} req
+   */
+  function bearer(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "");
+    return match ? match[1] : "";
+  }
+
+  /**
+   * The signed-in user of a request: `{ email, expiresAt }`, or null
+   * @param {http.IncomingMessage} req
+   */
+  function sessionFor(req) {
+    const session = state.sessions[hash(bearer(req))];
+    return session && session.expiresAt > Date.now() ? session : null;
+  }
+
+  /**
+   * A token for reading a board's calendar feed as a user
+   * @param {string} email
+   * @param {string} boardId
+   */
+  function feedToken(email, boardId) {
+    const payload = base64url(JSON.stringify({ email, board: boardId }));
+    return `${payload}.${sign(`feed:${payload}`)}`;
+  }
+
+  /**
+   * The user and board a feed token was made for: `{ email, board }`, or
+   * null when the token is not genuine
+   * @param {string} token
+   */
+  function verifyFeedToken(token) {
+    const [payload, signature] = String(token || "").split(".");
+    if (!payload || !signature) return null;
+    const expected = Buffer.from(sign(`feed:${payload}`));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+    try {
+      const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+      return claims && typeof claims.email === "string" && typeof claims.board === "string" ? claims : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * End the session a request was made with
+   * @param {http.IncomingMessage} req
+   */
+  function signOut(req) {
+    delete state.sessions[hash(bearer(req))];
+    save();
+  }
+
+  return { requestLink, verifyLink, sessionFor, signOut, feedToken, verifyFeedToken };
+}
+
+module.exports = { createAuth };
@@ -0,0 +1,70 @@
+/*
+ * Mail delivery for the reference server
+ *
+ * The server only needs one thing from a mailer: `send({ to, subject, text })`
+ * returning a promise. Two stand-ins are built in so sign-in works offline:
+ *
+ *   log   prints each message to the console (the default)
+ *   file  writes each message to a text file in `<data>/outbox`, which holds
+ *         live sign-in links, so `<data>` must never be served
+ *
+ * For real delivery, pass `--mailer ./path/to/module.js`; the module must
+ * export `createMailer(options)` returning an object with the same `send`.
+ * The options are the server's parsed command-line options.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * A message as plain text with mail-style headers
+ * @param {Object} message { to, subject, text }
+ */
+function format(message) {
+  return `To: ${message.to}\nSubject: ${message.subject}\nDate: ${new Date().toUTCString()}\n\n${message.text}\n`;
+}
+
+/**
+ * Mailer that prints messages to the console
+ */
+function createLogMailer() {
+  return {
+    send(message) {
+      console.log(`\n--- email ---\n${format(message)}--- end of email ---\n`);
+      return Promise.resolve();
+    },
+  };
+}
+
+/**
+ * Mailer that writes each message to `<dir>/<time>-<recipient>.txt`
+ * @param {string} dir
+ */
+function createFileMailer(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  return {
+    send(message) {
+      const name = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, "_")}.txt`;
+      return fs.promises.writeFile(path.join(dir, name), format(message)).then(() => {
+        console.log(`Sign-in email for ${message.to} written to ${path.join(dir, name)}`);
+      });
+    },
+  };
+}
+
+/**
+ * Pick the mailer named on the command line
+ * @param {Object} options parsed server options ({ mailer, data, ... })
+ */
+function createMailer(options) {
+  const kind = options.mailer || "log";
+  if (kind === "log") return createLogMailer();
+  if (kind === "file") return createFileMailer(path.join(options.data, "outbox"));
+  const custom = require(path.resolve(kind));
+  if (typeof custom.createMailer !== "function") {
+    throw new Error(`${kind} does not export createMailer(options).`);
+  }
+  return custom.createMailer(options);
+}
+
+module.exports = { createMailer, createLogMailer, createFileMailer };
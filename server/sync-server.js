@@ -0,0 +1,591 @@
+/*
+ * Reference server for Task Rover
+ *
+ * A small dependency-free Node server for trying sign-in and multi-device
+ * sync locally. It implements the REST endpoints auth.js and sync.js talk
+ * to and keeps each board's tasks in a JSON file under the data directory.
+ * It also serves the app's own files, so opening http://localhost:8787/
+ * gives a page that can use it without any cross-origin setup. Only the
+ * files the service worker caches (its `APP_FILES`) and sw.js itself are
+ * served, never anything else in the tree.
+ *
+ *   node server/sync-server.js [--port 8787] [--data ~/task-rover-data]
+ *     [--mailer log|file|./my-mailer.js] [--app-url http://localhost:8787]
+ *
+ * The data directory also holds the signing secret and, with `--mailer
+ * file`, the outbox of sign-in links, so the server refuses to start when it
+ * is inside the app's own folder.
+ *
+ * Sign-in links point at `--app-url` and are delivered by the mailer (see
+ * mailer.js); the board endpoints need a session from a verified link (see
+ * auth.js). Set the sync URL in the app to http://localhost:8787/api.
+ *
+ *   POST /api/auth/link      { email } → 202
+ *   POST /api/auth/verify    { token } → { token, email, expiresAt }
+ *   GET  /api/auth/session   → { email, expiresAt }
+ *   POST /api/auth/signout   → 204
+ *
+ * Boards are shared through their member list (`{ email, name, role }`).
+ * Owners change the name and members, editors change tasks and viewers can
+ * only read. A board the server has not seen yet belongs to whoever writes
+ * to it first.
+ *
+ *   GET  /api/boards         → { boards: [{ id, name, members }] } the caller belongs to
+ *   PUT  /api/boards/:board  { name, members } → { board }
+ *
+ * Every accepted write bumps the task's `version` and the board's change
+ * counter (`seq`), which clients use as a cursor to pull only what changed.
+ * Each write is stamped with `updatedBy`, the caller's email, which the app
+ * shows in a task's history.
+ * When a write is based on an older version than the stored one, the copy
+ * with the later `updatedAt` is kept and the reply says so in `conflict`.
+ *
+ * Members can subscribe to a board from a calendar app. The app asks for a
+ * feed URL, which carries a feed token (see auth.js) in place of a session,
+ * and sends the board's columns and labels along; the server doesn't keep
+ * those otherwise, and the feed (see ical.js) uses the ones editors sent
+ * last. `kind` is "event" (the default) or "todo".
+ *
+ *   POST /api/boards/:board/feed     { columns, labels, kind } → { url }
+ *   GET  /api/boards/:board/calendar.ics?token=…&kind=… → text/calendar
+ *
+ * This is meant for local testing, not as a hardened production service.
+ */
+
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createAuth } = require("./auth");
+const { createMailer } = require("./mailer");
+const ical = require("../ical");
+
+const APP_ROOT = path.resolve(__dirname, "..");
+const BOARD_ID_PATTERN = /^[\w-]{1,64}$/;
+// Task ids come from the app or from imported files, so any printable text
+const TASK_ID_PATTERN = /^[^\u0000-\u001f\u007f]{1,200}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ROLES = ["owner", "editor", "viewer"];
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_LAYOUT_ITEMS = 200;
+// The app's files as listed in sw.js, so the two lists can't drift apart
+const STATIC_FILES = new Set([
+  "sw.js",
+  ...JSON.parse(/const APP_FILES = (\[[^\]]*\]);/.exec(fs.readFileSync(path.join(APP_ROOT, "sw.js"), "utf8"))[1].replace(/,\s*\]$/, "]"))
+    .filter((file) => file !== "./"),
+]);
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+  ".md": "text/plain; charset=utf-8",
+};
+
+/**
+ * Read `--name value` options from the command line
+ * @param {Array<string>} argv
+ */
+function parseArgs(argv) {
+  const options = {
+    port: Number(process.env.PORT) || 8787,
+    data: path.join(os.homedir(), "task-rover-data"),
+    mailer: "log",
+    appUrl: "",
+  };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, "");
+    if (name === "port") options.port = Number(argv[i + 1]);
+    if (name === "data") options.data = path.resolve(argv[i + 1]);
+    if (name === "mailer") options.mailer = argv[i + 1];
+    if (name === "app-url") options.appUrl = argv[i + 1];
+  }
+  options.appUrl = options.appUrl || `http://localhost:${options.port}`;
+  return options;
+}
+
+/**
+ * File-backed board storage. Each board lives in `<dir>/<boardId>.json` as
+ * `{ seq, info, layout, records: { <taskId>: { seq, task } } }`, where
+ * `info` holds the name and members (null until someone writes to the
+ * board) and `layout` the columns and labels for its calendar feed; deleted
+ * tasks stay as tombstones so other devices learn about the deletion.
+ * @param {string} dir
+ */
+function createFileStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const boards = new Map();
+
+  const fileFor = (boardId) => path.join(dir, `${boardId}.json`);
+
+  function load(boardId) {
+    if (!boards.has(boardId)) {
+      let board = { seq: 0, info: null, records: {} };
+      if (fs.existsSync(fileFor(boardId))) {
+        board = JSON.parse(fs.readFileSync(fileFor(boardId), "utf8"));
+      }
+      boards.set(boardId, board);
+    }
+    return boards.get(boardId);
+  }
+
+  function save(boardId) {
+    // Write to a temporary file first so a crash never leaves half a board
+    const file = fileFor(boardId);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(load(boardId)));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  return {
+    info(boardId) {
+      return load(boardId).info || null;
+    },
+    setInfo(boardId, info) {
+      load(boardId).info = info;
+      save(boardId);
+      return info;
+    },
+    layout(boardId) {
+      return load(boardId).layout || { columns: [], labels: [] };
+    },
+    setLayout(boardId, layout) {
+      load(boardId).layout = layout;
+      save(boardId);
+      return layout;
+    },
+    boardsFor(email) {
+      return fs.readdirSync(dir)
+        .filter((name) => name.endsWith(".json"))
+        .map((name) => name.slice(0, -".json".length))
+        .filter((boardId) => BOARD_ID_PATTERN.test(boardId))
+        .map((boardId) => ({ id: boardId, ...load(boardId).info }))
+        .filter((board) => (board.members || []).some((m) => m.email === email));
+    },
+    get(boardId, taskId) {
+      const record = load(boardId).records[taskId];
+      return record ? record.task : null;
+    },
+    put(boardId, task) {
+      const board = load(boardId);
+      board.seq += 1;
+      board.records[task.id] = { seq: board.seq, task };
+      save(boardId);
+      return task;
+    },
+    changesSince(boardId, since) {
+      const board = load(boardId);
+      const tasks = Object.values(board.records)
+        .filter((record) => record.seq > since)
+        .sort((a, b) => a.seq - b.seq)
+        .map((record) => record.task);
+      return { tasks, cursor: board.seq };
+    },
+  };
+}
+
+/**
+ * Everything but the sync stamps, for telling whether a write changes anything
+ * @param {Object} task
+ */
+function contentOf(task) {
+  const { updatedAt, updatedBy, version, ...content } = task;
+  return JSON.stringify(content);
+}
+
+/**
+ * Store a task sent by a client, resolving conflicts by `updatedAt`
+ * @param {Object} store
+ * @param {string} boardId
+ * @param {Object} task
+ * @param {number} baseVersion the version the client's edit started from
+ */
+function writeTask(store, boardId, task, baseVersion) {
+  const current = store.get(boardId, task.id);
+  if (!current) {
+    return { task: store.put(boardId, { ...task, version: 1 }), conflict: null };
+  }
+  const stale = current.version !== baseVersion;
+  if (stale && (task.updatedAt || 0) < (current.updatedAt || 0)) {
+    return { task: current, conflict: { winner: "server" } };
+  }
+  const conflict = stale ? { winner: "client" } : null;
+  if (!current.deleted && !task.deleted && contentOf(current) === contentOf(task)) {
+    return { task: current, conflict: null };
+  }
+  return { task: store.put(boardId, { ...task, version: current.version + 1 }), conflict };
+}
+
+/**
+ * Check and tidy a board's name and members sent by a client
+ * @param {Object} body { name, members }
+ * @returns {Object} `{ name, members }`
+ */
+function readBoardInfo(body) {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+  if (typeof body.name !== "string" || !body.name.trim()) throw invalid("A board needs a name.");
+  if (!Array.isArray(body.members)) throw invalid("Expected { name, members }.");
+  const members = [];
+  body.members.forEach((member) => {
+    const email = String((member && member.email) || "").trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) throw invalid(`${email || "A member"} is not a valid email address.`);
+    if (!ROLES.includes(member.role)) throw invalid(`${email} has an unknown role.`);
+    if (members.some((m) => m.email === email)) return;
+    members.push({ email, name: String(member.name || "").trim().slice(0, 60), role: member.role });
+  });
+  if (!members.some((m) => m.role === "owner")) throw invalid("A board needs at least one owner.");
+  return { name: body.name.trim().slice(0, 80), members };
+}
+
+/**
+ * Check and tidy the columns and labels sent with a feed request
+ * @param {Object} body { columns, labels }
+ * @returns {Object} `{ columns: [{ key, label, done }], labels: [{ id, name }] }`
+ */
+function readLayout(body) {
+  const text = (value, max) => (typeof value === "string" ? value.trim().slice(0, max) : "");
+  const columns = (Array.isArray(body.columns) ? body.columns : [])
+    .slice(0, MAX_LAYOUT_ITEMS)
+    .filter((col) => col && text(col.key, 64))
+    .map((col) => ({ key: text(col.key, 64), label: text(col.label, 80) || text(col.key, 64), done: Boolean(col.done) }));
+  const labels = (Array.isArray(body.labels) ? body.labels : [])
+    .slice(0, MAX_LAYOUT_ITEMS)
+    .filter((label) => label && text(label.id, 64) && text(label.name, 80))
+    .map((label) => ({ id: text(label.id, 64), name: text(label.name, 80) }));
+  return { columns, labels };
+}
+
+/**
+ * The calendar feed URL for a member of a board
+ * @param {Object} services { auth, appUrl }
+ * @param {string} email
+ * @param {string} boardId
+ * @param {string} kind "event" or "todo"
+ */
+function feedUrl({ auth, appUrl }, email, boardId, kind) {
+  const query = new URLSearchParams({ token: auth.feedToken(email, boardId) });
+  if (kind === "todo") query.set("kind", kind);
+  return `${appUrl.replace(/\/+$/, "")}/api/boards/${encodeURIComponent(boardId)}/calendar.ics?${query}`;
+}
+
+/**
+ * Reply to a calendar app reading a board's feed
+ * @param {Object} services { store, auth, appUrl }
+ * @param {http.ServerResponse} res
+ * @param {URL} url
+ * @param {string} boardId
+ */
+function serveFeed({ store, auth, appUrl }, res, url, boardId) {
+  const claims = auth.verifyFeedToken(url.searchParams.get("token"));
+  if (!claims || claims.board !== boardId) {
+    sendJson(res, 401, { error: "This calendar link is not valid." });
+    return;
+  }
+  const info = store.info(boardId);
+  if (!roleOn(info, claims.email)) {
+    sendJson(res, 403, { error: "You are no longer a member of this board." });
+    return;
+  }
+  const tasks = store.changesSince(boardId, 0).tasks.filter((task) => !task.deleted);
+  const base = appUrl.replace(/\/+$/, "");
+  const link = (task) => `${base}/board.html#board=${encodeURIComponent(boardId)}&task=${encodeURIComponent(task.id)}`;
+  const text = ical.toIcs(info, { tasks, ...store.layout(boardId) }, { kind: url.searchParams.get("kind"), link });
+  res.writeHead(200, { "Content-Type": "text/calendar; charset=utf-8", "Cache-Control": "no-cache" });
+  res.end(text);
+}
+
+/**
+ * A user's role on a board, or null. Boards nobody has written to yet
+ * have no members and give no role.
+ * @param {Object|null} info
+ * @param {string} email
+ */
+function roleOn(info, email) {
+  const member = info ? info.members.find((m) => m.email === email) : null;
+  return member ? member.role : null;
+}
+
+/**
+ * Decode a URL path, or fail with a 400 when it is malformed (e.g. `%E0`)
+ * @param {string} value
+ */
+function decodePath(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (_) {
+    throw Object.assign(new Error("Malformed URL."), { status: 400 });
+  }
+}
+
+/**
+ * Reply with JSON
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Request body is too large."), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : {});
+      } catch (_) {
+        reject(Object.assign(new Error("Request body is not valid JSON."), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Handle `/api/auth/...` requests
+ * @param {Object} auth
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {URL} url
+ */
+async function handleAuth(auth, req, res, url) {
+  const route = `${req.method} ${url.pathname}`;
+  if (route === "POST /api/auth/link") {
+    const body = await readJson(req);
+    await auth.requestLink(body.email);
+    sendJson(res, 202, { ok: true });
+  } else if (route === "POST /api/auth/verify") {
+    const body = await readJson(req);
+    sendJson(res, 200, auth.verifyLink(body.token));
+  } else if (route === "GET /api/auth/session") {
+    const session = auth.sessionFor(req);
+    if (session) {
+      sendJson(res, 200, session);
+    } else {
+      sendJson(res, 401, { error: "Not signed in." });
+    }
+  } else if (route === "POST /api/auth/signout") {
+    auth.signOut(req);
+    res.writeHead(204);
+    res.end();
+  } else {
+    sendJson(res, 404, { error: "Not found." });
+  }
+}
+
+/**
+ * Handle `/api/...` requests
+ * @param {Object} services { store, auth, appUrl }
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {URL} url
+ */
+async function handleApi(services, req, res, url) {
+  const { store, auth } = services;
+  if (url.pathname === "/api/health") {
+    sendJson(res, 200, { ok: true });
+    return;
+  }
+  if (url.pathname.startsWith("/api/auth/")) {
+    await handleAuth(auth, req, res, url);
+    return;
+  }
+  // Calendar apps send the feed token instead of a session
+  const feed = /^\/api\/boards\/([^/]+)\/calendar\.ics$/.exec(url.pathname);
+  if (feed && req.method === "GET") {
+    serveFeed(services, res, url, decodePath(feed[1]));
+    return;
+  }
+  const session = auth.sessionFor(req);
+  if (!session) {
+    sendJson(res, 401, { error: "Sign in to sync." });
+    return;
+  }
+  if (req.method === "GET" && url.pathname === "/api/boards") {
+    sendJson(res, 200, { boards: store.boardsFor(session.email) });
+    return;
+  }
+  const match = /^\/api\/boards\/([^/]+)(\/tasks(?:\/([^/]+))?|\/feed)?$/.exec(url.pathname);
+  const boardId = match ? decodePath(match[1]) : "";
+  if (!match || !BOARD_ID_PATTERN.test(boardId)) {
+    sendJson(res, 404, { error: "Not found." });
+    return;
+  }
+  const info = store.info(boardId);
+  const role = roleOn(info, session.email);
+  if (req.method === "PUT" && !match[2]) {
+    if (info && role !== "owner") {
+      sendJson(res, 403, { error: "Only the board's owners can change its name and members." });
+      return;
+    }
+    const next = readBoardInfo(await readJson(req));
+    // Nobody can lock themselves out of a board they are creating
+    if (!info && roleOn(next, session.email) !== "owner") {
+      next.members = next.members.filter((m) => m.email !== session.email);
+      next.members.unshift({ email: session.email, name: "", role: "owner" });
+    }
+    sendJson(res, 200, { board: { id: boardId, ...store.setInfo(boardId, next) } });
+    return;
+  }
+  if (!match[2]) {
+    sendJson(res, 405, { error: "Method not allowed." });
+    return;
+  }
+  if (match[2] === "/feed") {
+    if (req.method !== "POST") {
+      sendJson(res, 405, { error: "Method not allowed." });
+    } else if (!role) {
+      sendJson(res, info ? 403 : 404, { error: info ? "You are not a member of this board." : "Sync this board before subscribing to it." });
+    } else {
+      const body = await readJson(req);
+      // Viewers get a link but can't change what the feed shows
+      if (role !== "viewer") store.setLayout(boardId, readLayout(body));
+      sendJson(res, 200, { url: feedUrl(services, session.email, boardId, body.kind) });
+    }
+    return;
+  }
+  const taskId = match[3] ? decodePath(match[3]) : null;
+  if (taskId !== null && !TASK_ID_PATTERN.test(taskId)) {
+    sendJson(res, 400, { error: "Task ids can't contain control characters." });
+    return;
+  }
+  if (req.method === "GET" && !taskId) {
+    if (!info) {
+      sendJson(res, 200, { tasks: [], cursor: 0 });
+    } else if (!role) {
+      sendJson(res, 403, { error: "You are not a member of this board." });
+    } else {
+      sendJson(res, 200, store.changesSince(boardId, Number(url.searchParams.get("since")) || 0));
+    }
+    return;
+  }
+  if (!taskId || (req.method !== "PUT" && req.method !== "DELETE")) {
+    sendJson(res, 405, { error: "Method not allowed." });
+    return;
+  }
+  if (info && role !== "owner" && role !== "editor") {
+    sendJson(res, 403, { error: role ? "Viewers can't change tasks on this board." : "You are not a member of this board." });
+    return;
+  }
+  if (!info) {
+    store.setInfo(boardId, { name: "Untitled board", members: [{ email: session.email, name: "", role: "owner" }] });
+  }
+  if (req.method === "PUT") {
+    const body = await readJson(req);
+    if (!body.task || typeof body.task !== "object" || typeof body.task.title !== "string") {
+      sendJson(res, 400, { error: "Expected { task, baseVersion }." });
+      return;
+    }
+    const task = { ...body.task, id: taskId, updatedAt: Number(body.task.updatedAt) || Date.now(), updatedBy: session.email };
+    delete task.deleted;
+    sendJson(res, 200, writeTask(store, boardId, task, Number(body.baseVersion) || 0));
+    return;
+  }
+  const body = await readJson(req);
+  const tombstone = { id: taskId, deleted: true, updatedAt: Number(body.updatedAt) || Date.now(), updatedBy: session.email };
+  sendJson(res, 200, writeTask(store, boardId, tombstone, Number(body.baseVersion) || 0));
+}
+
+/**
+ * Serve a file of the app itself. Anything not in STATIC_FILES, or inside
+ * the data directory, is a 404.
+ * @param {http.ServerResponse} res
+ * @param {URL} url
+ * @param {string} dataDir
+ */
+function serveStatic(res, url, dataDir) {
+  let relative;
+  try {
+    relative = decodePath(url.pathname === "/" ? "/index.html" : url.pathname);
+  } catch (err) {
+    sendJson(res, err.status, { error: err.message });
+    return;
+  }
+  const file = path.resolve(APP_ROOT, `.${relative}`);
+  const listed = STATIC_FILES.has(path.relative(APP_ROOT, file).split(path.sep).join("/"));
+  if (!listed || file === dataDir || file.startsWith(dataDir + path.sep)) {
+    sendJson(res, 404, { error: "Not found." });
+    return;
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      sendJson(res, 404, { error: "Not found." });
+      return;
+    }
+    res.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(file)] || "application/octet-stream" });
+    res.end(data);
+  });
+}
+
+/**
+ * Create the HTTP server
+ * @param {Object} options { data, appUrl, mailer }
+ */
+function createServer(options) {
+  const dataDir = path.resolve(options.data);
+  if (dataDir === APP_ROOT || dataDir.startsWith(APP_ROOT + path.sep)) {
+    throw new Error(`The data directory (${dataDir}) must be outside the app's folder (${APP_ROOT}).`);
+  }
+  const store = createFileStore(path.join(options.data, "boards"));
+  const auth = createAuth({ ...options, mailer: createMailer(options) });
+  return http.createServer((req, res) => {
+    // Allow the app to be opened from another origin during development
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    let url;
+    try {
+      url = new URL(req.url, "http://localhost");
+    } catch (_) {
+      sendJson(res, 400, { error: "Malformed URL." });
+      return;
+    }
+    if (!url.pathname.startsWith("/api/")) {
+      serveStatic(res, url, dataDir);
+      return;
+    }
+    handleApi({ store, auth, appUrl: options.appUrl }, req, res, url).catch((err) => {
+      sendJson(res, err.status || 500, { error: err.status ? err.message : "Internal server error." });
+      if (!err.status) console.error(err);
+    });
+  });
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  let server;
+  try {
+    server = createServer(options);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  server.listen(options.port, () => {
+    console.log(`Task Rover sync server on http://localhost:${options.port}/ (data in ${options.data})`);
+  });
+}
+
+module.exports = { createServer, writeTask };
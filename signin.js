@@ -1,9 +1,9 @@
 /*
  * Sign‑in page logic for Task Rover
  *
- * Implements a simple passwordless sign‑in flow using just an email field.  When the
- * user submits a valid email address, we mark them as logged in and redirect
- * to the board.  The user’s email is stored in localStorage as `userEmail`.
+ * Implements a passwordless sign‑in flow using just an email field.  When the
+ * user submits a valid email address, the server emails a one-time sign‑in
+ * link (see auth.js); opening it finishes signing in on callback.html.
  * The page also supports dark/light theme toggling consistent with other pages.
  */
 
@@ -39,7 +39,8 @@
   initTheme();
 
   // Redirect to board if already logged in
-  if (localStorage.getItem("loggedIn")) {
+  const auth = window.TaskRover.auth;
+  if (auth.session()) {
     window.location.href = "board.html";
     return;
   }
@@ -47,6 +48,7 @@
   // Sign‑in form handling
   const form = document.getElementById("signinForm");
   const emailInput = document.getElementById("emailInput");
+  const signinBtn = document.getElementById("signinBtn");
   const messageEl = document.getElementById("signinMessage");
   function validateEmail(email) {
     return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
@@ -59,18 +61,20 @@
       messageEl.style.color = "#ef4444";
       return;
     }
-    // Save login state and email
-    try {
-      localStorage.setItem("loggedIn", "true");
-      localStorage.setItem("userEmail", email);
-    } catch (_) {
-      // ignore
-    }
-    // Show success message and redirect
-    messageEl.textContent = "Check your email for a sign‑in link. Redirecting…";
-    messageEl.style.color = "#22c55e";
-    setTimeout(() => {
-      window.location.href = "board.html";
-    }, 1500);
+    signinBtn.disabled = true;
+    messageEl.textContent = "Sending…";
+    messageEl.style.color = "";
+    auth.requestLink(email)
+      .then(() => {
+        messageEl.textContent = `Check ${email} for a sign‑in link. It works once and expires in 15 minutes.`;
+        messageEl.style.color = "#22c55e";
+      })
+      .catch((err) => {
+        messageEl.textContent = err.message;
+        messageEl.style.color = "#ef4444";
+      })
+      .then(() => {
+        signinBtn.disabled = false;
+      });
   });
 })();
\ No newline at end of file
@@ -1,9 +1,11 @@
 /*
  * Stats page logic for Task Rover
  *
- * Computes simple statistics from the stored tasks and renders them into three
- * sections: by status (To Do / In Progress / Done), by priority (None / High / Medium / Low),
- * and by owner.  The page also provides a back button to return to the board and
+ * Computes simple statistics from the stored tasks and renders them into five
+ * sections: by status (labelled from the stored columns), by priority (None / High / Medium / Low),
+ * by owner, checklist completion, and the average time tasks spend in each column (from the
+ * activity log, see history.js), for either one board or all boards combined (picked
+ * from the board filter).  The page also provides a back button to return to the board and
  * supports theme toggling.  If the user is not logged in the page redirects
  * to the sign‑in page.
  */
@@ -40,38 +42,40 @@
   initTheme();
 
   // Redirect to sign‑in if not logged in
-  if (!localStorage.getItem("loggedIn")) {
-    window.location.href = "signin.html";
-    return;
-  }
+  if (!window.TaskRover.auth.requireSession()) return;
   // Back button
   const backBtn = document.getElementById("backBtn");
   backBtn.addEventListener("click", () => {
     window.location.href = "board.html";
   });
-  // Load tasks from localStorage
-  let tasks = [];
-  try {
-    const stored = localStorage.getItem("taskRoverTasks");
-    tasks = stored ? JSON.parse(stored) : [];
-  } catch (_) {
-    tasks = [];
-  }
-  // Compute statistics
-  const statusCounts = {};
-  const priorityCounts = {};
-  const ownerCounts = {};
-  tasks.forEach((task) => {
-    // status
-    const status = task.status || "unknown";
-    statusCounts[status] = (statusCounts[status] || 0) + 1;
-    // priority
-    const pri = task.priority || "none";
-    priorityCounts[pri] = (priorityCounts[pri] || 0) + 1;
-    // owner
-    const owner = task.owner && task.owner.trim() ? task.owner.trim() : "Unassigned";
-    ownerCounts[owner] = (ownerCounts[owner] || 0) + 1;
+  const storage = window.TaskRover.storage;
+  const boardStore = window.TaskRover.boards;
+  const columnStore = window.TaskRover.columns;
+  const historyStore = window.TaskRover.history;
+  let boards = [];
+  // Report storage problems at the top of the page
+  const storageMessage = document.getElementById("storageMessage");
+  storage.onError((problem) => {
+    storageMessage.textContent = problem.message;
+    storageMessage.classList.remove("hidden");
   });
+  // Board filter: one board, or every board at once
+  const ALL_BOARDS = "all";
+  const boardFilter = document.getElementById("boardFilter");
+  boardFilter.addEventListener("change", renderStats);
+  function renderBoardFilter() {
+    const allOption = document.createElement("option");
+    allOption.value = ALL_BOARDS;
+    allOption.textContent = "All boards";
+    boardFilter.appendChild(allOption);
+    boards.forEach((board) => {
+      const option = document.createElement("option");
+      option.value = board.id;
+      option.textContent = board.archived ? `${board.name} (archived)` : board.name;
+      boardFilter.appendChild(option);
+    });
+    boardFilter.value = boardStore.getActiveBoardId(boards);
+  }
   // Helper to render lists
   function renderList(containerId, data, labelMap) {
     const container = document.getElementById(containerId);
@@ -93,17 +97,124 @@
       container.appendChild(item);
     });
   }
-  // Render all sections
-  renderList("statusList", statusCounts, {
-    todo: "To Do",
-    doing: "In Progress",
-    done: "Done",
-  });
-  renderList("priorityList", priorityCounts, {
-    none: "None",
-    high: "High",
-    medium: "Medium",
-    low: "Low",
+  /**
+   * Compute and render statistics for the selected board(s)
+   */
+  function renderStats() {
+    const selected = boardFilter.value === ALL_BOARDS
+      ? boards
+      : boards.filter((b) => b.id === boardFilter.value);
+    // Load tasks and column labels from every selected board
+    let tasks = [];
+    let statusLabels = {};
+    // Assignees are member emails; show them by name
+    const ownerNames = {};
+    const columnTimes = {};
+    const now = Date.now();
+    selected.forEach((board) => {
+      const times = historyStore.columnTimes(historyStore.load(board.id), now);
+      Object.keys(times).forEach((key) => {
+        const time = columnTimes[key] || { total: 0, stays: 0 };
+        time.total += times[key].total;
+        time.stays += times[key].stays;
+        columnTimes[key] = time;
+      });
+      tasks = tasks.concat(boardStore.loadTasks(board.id));
+      board.members.forEach((m) => {
+        ownerNames[m.email] = ownerNames[m.email] || boardStore.memberName(board, m.email);
+      });
+      statusLabels = { ...columnStore.labelMap(columnStore.loadColumns(board.id)), ...statusLabels };
+    });
+    // Compute statistics
+    const statusCounts = {};
+    const priorityCounts = {};
+    const ownerCounts = {};
+    const checklist = { items: 0, itemsDone: 0, lists: 0, listsDone: 0 };
+    tasks.forEach((task) => {
+      // status
+      const status = task.status || "unknown";
+      statusCounts[status] = (statusCounts[status] || 0) + 1;
+      // priority
+      const pri = task.priority || "none";
+      priorityCounts[pri] = (priorityCounts[pri] || 0) + 1;
+      // owner
+      const assignee = (task.owner || "").trim();
+      const owner = assignee ? ownerNames[assignee] || assignee : "Unassigned";
+      ownerCounts[owner] = (ownerCounts[owner] || 0) + 1;
+      // checklist
+      const items = Array.isArray(task.checklist) ? task.checklist : [];
+      if (items.length > 0) {
+        const itemsDone = items.filter((item) => item.done).length;
+        checklist.items += items.length;
+        checklist.itemsDone += itemsDone;
+        checklist.lists += 1;
+        if (itemsDone === items.length) checklist.listsDone += 1;
+      }
+    });
+    // Render all sections
+    renderList("statusList", statusCounts, statusLabels);
+    renderList("priorityList", priorityCounts, {
+      none: "None",
+      high: "High",
+      medium: "Medium",
+      low: "Low",
+    });
+    renderList("ownerList", ownerCounts, null);
+    renderChecklistStats(checklist);
+    renderColumnTimes(columnTimes, statusLabels);
+  }
+  /**
+   * Render the average stay in each column, longest first
+   */
+  function renderColumnTimes(columnTimes, statusLabels) {
+    const container = document.getElementById("columnTimeList");
+    container.innerHTML = "";
+    const keys = Object.keys(columnTimes);
+    if (keys.length === 0) {
+      const empty = document.createElement("p");
+      empty.textContent = "No data";
+      container.appendChild(empty);
+      return;
+    }
+    const average = (key) => columnTimes[key].total / columnTimes[key].stays;
+    keys.sort((a, b) => average(b) - average(a));
+    keys.forEach((key) => {
+      const item = document.createElement("div");
+      item.className = "stats-item";
+      const stays = columnTimes[key].stays;
+      item.textContent = `${statusLabels[key] || key}: ${historyStore.formatDuration(average(key))} on average (${stays} ${stays === 1 ? "visit" : "visits"})`;
+      container.appendChild(item);
+    });
+  }
+  /**
+   * Render checklist completion as fixed rows rather than a ranked list
+   */
+  function renderChecklistStats(checklist) {
+    const container = document.getElementById("checklistList");
+    container.innerHTML = "";
+    if (checklist.lists === 0) {
+      const empty = document.createElement("p");
+      empty.textContent = "No data";
+      container.appendChild(empty);
+      return;
+    }
+    const percent = Math.round((checklist.itemsDone / checklist.items) * 100);
+    const rows = [
+      `Items done: ${checklist.itemsDone} of ${checklist.items} (${percent}%)`,
+      `Checklists complete: ${checklist.listsDone} of ${checklist.lists}`,
+    ];
+    rows.forEach((text) => {
+      const item = document.createElement("div");
+      item.className = "stats-item";
+      item.textContent = text;
+      container.appendChild(item);
+    });
+  }
+  // Load the signed-in user's data once their store is open
+  const email = window.TaskRover.auth.session().email;
+  storage.open(email).then(() => {
+    boards = boardStore.loadBoards(email);
+    renderBoardFilter();
+    renderStats();
   });
-  renderList("ownerList", ownerCounts, null);
 })();
\ No newline at end of file
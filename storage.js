@@ -0,0 +1,636 @@
+/*
+ * Storage layer for Task Rover
+ *
+ * All board data (the board list, each board's tasks and columns) goes
+ * through this module instead of touching localStorage directly. Data is
+ * kept in an in-memory cache so reads stay synchronous; writes update the
+ * cache straight away and are committed to a backend in the background.
+ *
+ * Two backends are available. IndexedDB is preferred because it copes with
+ * large boards; when it cannot be opened (old browsers, some private
+ * browsing modes) the store falls back to localStorage, keeping each record
+ * as JSON under `taskRoverStore:<key>`.
+ *
+ * Each signed-in user gets a store of their own: `open(namespace)` with the
+ * user's email uses the database `taskRover:<email>` (or localStorage keys
+ * under `taskRoverUser:<email>:`), so people sharing a browser never see
+ * each other's boards. Data saved before stores were namespaced is claimed
+ * by the first user to open a store, and `destroy` removes a user's store
+ * when they sign out without keeping their data.
+ *
+ * Tabs with the same store open keep each other's caches current: every
+ * write is announced on a BroadcastChannel named after the store (or, in
+ * browsers without one, picked up from the `storage` event of the
+ * localStorage backend), and listeners registered with `onExternalChange`
+ * hear which keys another tab changed.
+ *
+ * The stored data carries a schema version. `MIGRATIONS` lists, in order,
+ * the functions that upgrade data written by older versions; any that have
+ * not run yet are applied when the store is opened.
+ *
+ * Problems are never swallowed: unreadable records, a full quota or a
+ * failed write are reported to listeners registered with `onError`, and
+ * writes that failed stay queued so the next save retries them.
+ */
+
+(() => {
+  const DB_NAME = "taskRover";
+  const DB_STORE = "records";
+  const LOCAL_PREFIX = "taskRoverStore:";
+  const BACKUP_PREFIX = "taskRoverStoreBackup:";
+  const USER_LOCAL_PREFIX = "taskRoverUser:";
+  const USER_BACKUP_PREFIX = "taskRoverUserBackup:";
+  const VERSION_KEY = "schemaVersion";
+
+  /**
+   * Ordered schema migrations. Each receives an editor over the cached data
+   * (`get`, `set`, `remove`, `keys`, `afterCommit`) and upgrades it to
+   * `version`. Never edit a released migration; append a new one instead.
+   */
+  const MIGRATIONS = [
+    {
+      version: 1,
+      description: "Import data saved directly in localStorage",
+      migrate(data) {
+        const legacyKeys = [];
+        const readLegacy = (key) => {
+          const raw = localStorage.getItem(key);
+          if (raw === null) return undefined;
+          try {
+            const value = JSON.parse(raw);
+            legacyKeys.push(key);
+            return value;
+          } catch (err) {
+            // Leave unreadable keys where they are rather than deleting them
+            reportError("corrupt", "Some saved data could not be read and was left untouched.", err);
+            return undefined;
+          }
+        };
+        for (let i = 0; i < localStorage.length; i += 1) {
+          const key = localStorage.key(i);
+          const match = /^taskRover(Tasks|Columns):(.+)$/.exec(key);
+          const value = match ? readLegacy(key) : undefined;
+          if (value !== undefined) {
+            data.set(`${match[1].toLowerCase()}:${match[2]}`, value);
+          }
+        }
+        const boards = readLegacy("taskRoverBoards");
+        if (Array.isArray(boards)) data.set("boards", boards);
+        const active = readLegacy("taskRoverActiveBoard");
+        if (typeof active === "string") data.set("activeBoard", active);
+        // Data saved before boards existed belongs to the default board
+        const singleTasks = readLegacy("taskRoverTasks");
+        const singleColumns = readLegacy("taskRoverColumns");
+        if (singleTasks !== undefined || singleColumns !== undefined) {
+          if (singleTasks !== undefined) data.set("tasks:default", singleTasks);
+          if (singleColumns !== undefined) data.set("columns:default", singleColumns);
+          const list = data.get("boards") || [];
+          if (!list.some((b) => b && b.id === "default")) {
+            list.unshift({ id: "default", name: "My Board", archived: false, createdAt: Date.now() });
+            data.set("boards", list);
+          }
+        }
+        // Only drop the old keys once the imported copy is safely stored
+        data.afterCommit(() => {
+          legacyKeys.forEach((key) => localStorage.removeItem(key));
+        });
+      },
+    },
+    {
+      version: 2,
+      description: "Normalise task records",
+      migrate(data) {
+        data.keys()
+          .filter((key) => key.startsWith("tasks:"))
+          .forEach((key) => {
+            const list = Array.isArray(data.get(key)) ? data.get(key) : [];
+            const tasks = list
+              .filter((task) => task && typeof task === "object" && task.id !== undefined)
+              .map((task) => ({
+                ...task,
+                id: String(task.id),
+                title: typeof task.title === "string" ? task.title : "",
+                owner: typeof task.owner === "string" ? task.owner : "",
+                createdAt: Number(task.createdAt) || Number(task.id) || Date.now(),
+              }));
+            data.set(key, tasks);
+          });
+      },
+    },
+    {
+      version: 3,
+      description: "Give every task a position within its column",
+      migrate(data) {
+        data.keys()
+          .filter((key) => key.startsWith("tasks:"))
+          .forEach((key) => {
+            const tasks = data.get(key);
+            const byStatus = {};
+            tasks.forEach((task) => {
+              (byStatus[task.status] = byStatus[task.status] || []).push(task);
+            });
+            Object.values(byStatus).forEach((list) => {
+              list
+                .sort((a, b) => a.createdAt - b.createdAt)
+                .forEach((task, i) => {
+                  task.position = i;
+                });
+            });
+            data.set(key, tasks);
+          });
+      },
+    },
+    {
+      version: 4,
+      description: "Give the default board a unique id so it can be shared",
+      migrate(data) {
+        const boards = data.get("boards");
+        if (!Array.isArray(boards) || !boards.some((b) => b && b.id === "default")) return;
+        const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        boards.forEach((board) => {
+          if (board && board.id === "default") board.id = id;
+        });
+        data.set("boards", boards);
+        ["tasks", "columns", "labels", "views"].forEach((kind) => {
+          const value = data.get(`${kind}:default`);
+          if (value === undefined) return;
+          data.set(`${kind}:${id}`, value);
+          data.remove(`${kind}:default`);
+        });
+        if (data.get("activeBoard") === "default") data.set("activeBoard", id);
+        // The sync server has never seen the new id: start it from scratch
+        const tasks = Array.isArray(data.get(`tasks:${id}`)) ? data.get(`tasks:${id}`) : [];
+        if (tasks.length > 0) {
+          tasks.forEach((task) => {
+            task.version = 0;
+          });
+          data.set(`tasks:${id}`, tasks);
+        }
+        data.remove("syncCursor:default");
+        const settings = data.get("syncSettings");
+        if (!settings || !settings.enabled) return;
+        const queue = Array.isArray(data.get("syncQueue")) ? data.get("syncQueue") : [];
+        data.set("syncQueue", queue
+          .filter((entry) => entry.boardId !== "default")
+          .concat(tasks.map((task) => ({ boardId: id, id: task.id, op: "put", task: { ...task }, baseVersion: 0 }))));
+      },
+    },
+  ];
+
+  const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+  const cache = new Map();
+  // Keys changed in the cache but not yet committed to the backend
+  const pending = new Set();
+  const errorListeners = [];
+  const reportedErrors = [];
+  let backend = null;
+  let openPromise = null;
+  // Where the open store lives; set by open() for a signed-in user
+  let dbName = DB_NAME;
+  let localKeys = { prefix: LOCAL_PREFIX, backup: BACKUP_PREFIX };
+  let commitChain = Promise.resolve();
+  // Other tabs with the same store open; see listenToOtherTabs
+  let channel = null;
+  const externalListeners = [];
+
+  /**
+   * Report a storage problem to every listener (and to listeners that
+   * register later)
+   * @param {string} type "corrupt", "quota", "write", "version" or "backend"
+   * @param {string} message user-facing explanation
+   * @param {Error} [error]
+   */
+  function reportError(type, message, error) {
+    const problem = { type, message, error };
+    reportedErrors.push(problem);
+    errorListeners.forEach((fn) => fn(problem));
+  }
+
+  /**
+   * Whether an exception means the browser's storage quota is exhausted
+   * @param {Error} err
+   */
+  function isQuotaError(err) {
+    return Boolean(err) && (err.name === "QuotaExceededError" ||
+      err.name === "NS_ERROR_DOM_QUOTA_REACHED" || err.code === 22 || err.code === 1014);
+  }
+
+  /**
+   * localStorage backend: one JSON string per record
+   * @param {Object} [names] `{ prefix, backup }` key prefixes for records
+   *   and for copies of unreadable ones
+   */
+  function createLocalBackend(names = localKeys) {
+    const keysStartingWith = (prefix) => {
+      const found = [];
+      for (let i = 0; i < localStorage.length; i += 1) {
+        if (localStorage.key(i).startsWith(prefix)) found.push(localStorage.key(i));
+      }
+      return found;
+    };
+    return {
+      name: "localStorage",
+      loadAll() {
+        const entries = new Map();
+        keysStartingWith(names.prefix).forEach((fullKey) => {
+          const key = fullKey.slice(names.prefix.length);
+          const raw = localStorage.getItem(fullKey);
+          try {
+            entries.set(key, JSON.parse(raw));
+          } catch (err) {
+            // Keep the unreadable text aside so it is not overwritten
+            try {
+              localStorage.setItem(names.backup + key, raw);
+            } catch (_) {
+              // the original copy is still in place until the next save
+            }
+            reportError("corrupt", "Some saved data could not be read. A backup copy was kept.", err);
+          }
+        });
+        return Promise.resolve(entries);
+      },
+      commit(changes) {
+        try {
+          changes.forEach(({ key, value, removed }) => {
+            if (removed) {
+              localStorage.removeItem(names.prefix + key);
+            } else {
+              localStorage.setItem(names.prefix + key, JSON.stringify(value));
+            }
+          });
+          return Promise.resolve();
+        } catch (err) {
+          return Promise.reject(err);
+        }
+      },
+      destroy() {
+        keysStartingWith(names.prefix)
+          .concat(keysStartingWith(names.backup))
+          .forEach((key) => localStorage.removeItem(key));
+        return Promise.resolve();
+      },
+    };
+  }
+
+  /**
+   * IndexedDB backend: one structured-clone record per key in a single
+   * object store. Resolves with the backend once the database is open.
+   * @param {string} [name] database name
+   */
+  function openIndexedDBBackend(name = dbName) {
+    return new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      let request;
+      try {
+        request = window.indexedDB.open(name, 1);
+      } catch (err) {
+        reject(err);
+        return;
+      }
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(DB_STORE);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error("IndexedDB upgrade blocked"));
+      request.onsuccess = () => {
+        const db = request.result;
+        resolve({
+          name: "indexedDB",
+          loadAll() {
+            return new Promise((done, fail) => {
+              const entries = new Map();
+              const tx = db.transaction(DB_STORE, "readonly");
+              const cursorRequest = tx.objectStore(DB_STORE).openCursor();
+              cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                  entries.set(cursor.key, cursor.value);
+                  cursor.continue();
+                }
+              };
+              tx.oncomplete = () => done(entries);
+              tx.onerror = () => fail(tx.error);
+            });
+          },
+          commit(changes) {
+            return new Promise((done, fail) => {
+              const tx = db.transaction(DB_STORE, "readwrite");
+              const store = tx.objectStore(DB_STORE);
+              changes.forEach(({ key, value, removed }) => {
+                if (removed) {
+                  store.delete(key);
+                } else {
+                  store.put(value, key);
+                }
+              });
+              tx.oncomplete = () => done();
+              tx.onerror = () => fail(tx.error);
+              tx.onabort = () => fail(tx.error || new Error("Transaction aborted"));
+            });
+          },
+          destroy() {
+            db.close();
+            return new Promise((done, fail) => {
+              const deleteRequest = window.indexedDB.deleteDatabase(name);
+              deleteRequest.onsuccess = () => done();
+              deleteRequest.onerror = () => fail(deleteRequest.error);
+              // Another tab still has it open; it is deleted once that tab closes
+              deleteRequest.onblocked = () => done();
+            });
+          },
+        });
+      };
+    });
+  }
+
+  /**
+   * Commit every pending key to the backend. Commits run one after another
+   * so an older write can never land after a newer one. Keys whose commit
+   * fails stay pending and are retried by the next flush.
+   */
+  function flush() {
+    commitChain = commitChain.then(() => {
+      if (pending.size === 0 || !backend) return undefined;
+      const keys = Array.from(pending);
+      pending.clear();
+      const changes = keys.map((key) => (cache.has(key)
+        ? { key, value: cache.get(key) }
+        : { key, removed: true }));
+      return backend.commit(changes).catch((err) => {
+        keys.forEach((key) => pending.add(key));
+        if (isQuotaError(err)) {
+          reportError("quota", "Storage is full, so your latest changes are not saved yet. Free up space or delete old boards.", err);
+        } else {
+          reportError("write", "Your latest changes could not be saved. They will be retried on the next change.", err);
+        }
+      });
+    });
+    return commitChain;
+  }
+
+  /**
+   * Apply any migrations newer than the stored schema version
+   */
+  function migrate() {
+    const stored = Number(cache.get(VERSION_KEY)) || 0;
+    if (stored > SCHEMA_VERSION) {
+      reportError("version", "This data was saved by a newer version of Task Rover. Reload the page to update.");
+      return [];
+    }
+    const callbacks = [];
+    const editor = {
+      get: (key) => cache.get(key),
+      set: (key, value) => {
+        cache.set(key, value);
+        pending.add(key);
+      },
+      remove: (key) => {
+        cache.delete(key);
+        pending.add(key);
+      },
+      keys: () => Array.from(cache.keys()),
+      afterCommit: (fn) => callbacks.push(fn),
+    };
+    MIGRATIONS.filter((m) => m.version > stored).forEach((m) => {
+      m.migrate(editor);
+      editor.set(VERSION_KEY, m.version);
+    });
+    return callbacks;
+  }
+
+  /**
+   * Copy every record of another backend into the cache. Resolves with a
+   * cleanup callback that deletes the source once the copy is committed.
+   * @param {Object} source a backend
+   */
+  function adoptFrom(source) {
+    return source.loadAll().then((entries) => {
+      entries.forEach((value, key) => {
+        cache.set(key, value);
+        pending.add(key);
+      });
+      return () => source.destroy();
+    });
+  }
+
+  /**
+   * Move data saved before stores were namespaced (in either backend) into
+   * the open store. Resolves with a cleanup callback like adoptFrom.
+   */
+  function claimUnownedData() {
+    const fromDatabase = openIndexedDBBackend(DB_NAME)
+      .then(adoptFrom)
+      .catch(() => null);
+    return fromDatabase.then((dropDatabase) => adoptFrom(createLocalBackend({ prefix: LOCAL_PREFIX, backup: BACKUP_PREFIX }))
+      .then((dropLocal) => () => {
+        if (dropDatabase) dropDatabase();
+        dropLocal();
+      }));
+  }
+
+  /**
+   * Open the store: pick a backend, load every record into memory and run
+   * pending migrations. Safe to call more than once.
+   * @param {string} [namespace] the signed-in user's email; without it the
+   *   shared store from before sign-in existed is opened
+   */
+  function open(namespace) {
+    if (openPromise) return openPromise;
+    if (namespace) {
+      dbName = `${DB_NAME}:${namespace}`;
+      localKeys = { prefix: `${USER_LOCAL_PREFIX}${namespace}:`, backup: `${USER_BACKUP_PREFIX}${namespace}:` };
+    }
+    openPromise = openIndexedDBBackend()
+      .catch(() => createLocalBackend())
+      .then((chosen) => {
+        backend = chosen;
+        return backend.loadAll().catch((err) => {
+          // An unreadable database should not leave the app unusable
+          reportError("backend", "Saved data could not be loaded from this browser's database.", err);
+          backend = createLocalBackend();
+          return backend.loadAll();
+        });
+      })
+      .then((entries) => {
+        entries.forEach((value, key) => cache.set(key, value));
+        // A previous visit may have fallen back to localStorage; adopt that copy
+        const adopt = backend.name === "indexedDB" && !entries.has(VERSION_KEY)
+          ? adoptFrom(createLocalBackend())
+          : Promise.resolve(null);
+        // A user's first visit takes over data saved before sign-in existed
+        const claim = adopt.then((cleanup) => (namespace && !cache.has(VERSION_KEY)
+          ? claimUnownedData().then((claimed) => [cleanup, claimed])
+          : [cleanup]));
+        return claim.then((cleanups) => {
+          const callbacks = migrate();
+          cleanups.filter(Boolean).forEach((fn) => callbacks.push(fn));
+          return flush().then(() => {
+            if (pending.size === 0) {
+              callbacks.forEach((fn) => fn());
+            }
+            listenToOtherTabs(namespace);
+          });
+        });
+      });
+    return openPromise;
+  }
+
+  /**
+   * Tell other tabs with this store open that a record changed
+   * @param {string} key
+   */
+  function announce(key) {
+    if (!channel) return;
+    try {
+      channel.postMessage(cache.has(key) ? { key, value: cache.get(key) } : { key, removed: true });
+    } catch (_) {
+      // A value that can't be cloned is still saved; other tabs see it on reload
+    }
+  }
+
+  /**
+   * Take a record another tab changed into the cache and tell listeners
+   * @param {Object} message { key, value, removed }
+   */
+  function receive(message) {
+    if (!message || typeof message.key !== "string") return;
+    if (message.removed) {
+      cache.delete(message.key);
+    } else {
+      cache.set(message.key, message.value);
+    }
+    externalListeners.forEach((fn) => fn(message.key));
+  }
+
+  /**
+   * Start hearing about writes made by other tabs to the open store
+   * @param {string} [namespace]
+   */
+  function listenToOtherTabs(namespace) {
+    if (typeof BroadcastChannel === "function") {
+      channel = new BroadcastChannel(`${DB_NAME}:${namespace || ""}`);
+      channel.onmessage = (e) => receive(e.data);
+      return;
+    }
+    window.addEventListener("storage", (e) => {
+      if (!backend || backend.name !== "localStorage" || !e.key || !e.key.startsWith(localKeys.prefix)) return;
+      const key = e.key.slice(localKeys.prefix.length);
+      if (e.newValue === null) {
+        receive({ key, removed: true });
+        return;
+      }
+      try {
+        receive({ key, value: JSON.parse(e.newValue) });
+      } catch (_) {
+        // A half-written or foreign value; the next full load reports it
+      }
+    });
+  }
+
+  /**
+   * Read a record from the cache
+   * @param {string} key
+   */
+  function get(key) {
+    return cache.get(key);
+  }
+
+  /**
+   * Write a record; it is committed to the backend in the background
+   * @param {string} key
+   * @param {*} value
+   */
+  function set(key, value) {
+    cache.set(key, value);
+    pending.add(key);
+    announce(key);
+    flush();
+  }
+
+  /**
+   * Delete a record
+   * @param {string} key
+   */
+  function remove(key) {
+    cache.delete(key);
+    pending.add(key);
+    announce(key);
+    flush();
+  }
+
+  /**
+   * All cached record keys
+   */
+  function keys() {
+    return Array.from(cache.keys());
+  }
+
+  /**
+   * Register a listener for storage problems. Problems reported before the
+   * listener was added are replayed to it.
+   * @param {Function} fn called with `{ type, message, error }`
+   */
+  function onError(fn) {
+    errorListeners.push(fn);
+    reportedErrors.forEach((problem) => fn(problem));
+  }
+
+  /**
+   * Register a listener for records changed by another tab
+   * @param {Function} fn called with the changed key
+   */
+  function onExternalChange(fn) {
+    externalListeners.push(fn);
+  }
+
+  /**
+   * Delete the open store from this browser, both backends included, and
+   * empty the cache. Used when a user signs out without keeping their data.
+   */
+  function destroy() {
+    return commitChain.then(() => {
+      if (channel) channel.close();
+      channel = null;
+      cache.clear();
+      pending.clear();
+      const removals = [createLocalBackend().destroy()];
+      if (backend && backend.name === "indexedDB") removals.push(backend.destroy());
+      backend = null;
+      return Promise.all(removals);
+    });
+  }
+
+  /**
+   * Whether some changes have not reached the backend yet
+   */
+  function hasPendingWrites() {
+    return pending.size > 0;
+  }
+
+  /**
+   * Name of the backend in use ("indexedDB" or "localStorage")
+   */
+  function backendName() {
+    return backend ? backend.name : null;
+  }
+
+  window.TaskRover = window.TaskRover || {};
+  window.TaskRover.storage = {
+    SCHEMA_VERSION,
+    open,
+    get,
+    set,
+    remove,
+    keys,
+    flush,
+    destroy,
+    onError,
+    onExternalChange,
+    hasPendingWrites,
+    backendName,
+  };
+})();
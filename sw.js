@@ -0,0 +1,200 @@
+/*
+ * Service worker for Task Rover
+ *
+ * Keeps a copy of every file the app needs in a cache named after
+ * CACHE_VERSION, so the pages open with no network at all. Files are served
+ * from that cache first; the API (`/api/...`) and other sites are left to
+ * the network.
+ *
+ * Bump CACHE_VERSION whenever a cached file changes. Browsers notice the
+ * changed worker, install it next to the running one and fill a new cache;
+ * the new worker then waits until a page (see pwa.js) asks it to take over,
+ * which it does after the user accepts the "update available" prompt. Caches
+ * of older versions are removed once it has.
+ *
+ * Open pages also hand over the coming week's task reminders (see
+ * reminders.js). They are kept in REMINDER_CACHE, one entry per user, and
+ * shown from periodic background syncs while no page is open; clicking one
+ * opens the task. Signing out drops the user's entry.
+ */
+
+const CACHE_VERSION = "v5";
+const CACHE_NAME = `task-rover-${CACHE_VERSION}`;
+const REMINDER_CACHE = "task-rover-reminders";
+// Where versions before per-user entries kept everyone's reminders
+const SHARED_REMINDER_URL = "reminders.json";
+// Reminders missed by more than this (the device was off) are dropped unseen
+const REMINDER_GRACE = 12 * 60 * 60 * 1000;
+const APP_FILES = [
+  "./",
+  "index.html",
+  "signin.html",
+  "callback.html",
+  "board.html",
+  "stats.html",
+  "activity.html",
+  "style.css",
+  "manifest.webmanifest",
+  "pwa.js",
+  "auth.js",
+  "signin.js",
+  "callback.js",
+  "storage.js",
+  "boards.js",
+  "sync.js",
+  "columns.js",
+  "labels.js",
+  "dates.js",
+  "recurrence.js",
+  "reminders.js",
+  "calendar.js",
+  "history.js",
+  "undo.js",
+  "filters.js",
+  "importers.js",
+  "ical.js",
+  "transfer.js",
+  "markdown.js",
+  "board.js",
+  "stats.js",
+  "activity.js",
+  "icons/icon.svg",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+  "icons/icon-maskable-512.png",
+  "icons/apple-touch-icon.png",
+];
+
+self.addEventListener("install", (event) => {
+  // Fetch past the HTTP cache so the new cache doesn't start out stale
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll(APP_FILES.map((file) => new Request(file, { cache: "reload" }))))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(
+        names.filter((name) => name.startsWith("task-rover-") && name !== CACHE_NAME && name !== REMINDER_CACHE).map((name) => caches.delete(name))
+      ))
+      .then(() => caches.open(REMINDER_CACHE))
+      .then((cache) => cache.delete(SHARED_REMINDER_URL))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (!event.data) return;
+  if (event.data.type === "skipWaiting") self.skipWaiting();
+  if (event.data.type === "reminders" && Array.isArray(event.data.reminders)) {
+    event.waitUntil(saveReminders(reminderUrl(event.data.user), event.data.reminders));
+  }
+  if (event.data.type === "forgetReminders") {
+    event.waitUntil(caches.open(REMINDER_CACHE).then((cache) => cache.delete(reminderUrl(event.data.user))));
+  }
+});
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === "task-rover-reminders") event.waitUntil(showDueReminders());
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const { boardId, taskId } = event.notification.data || {};
+  const hash = boardId && taskId ? `#board=${encodeURIComponent(boardId)}&task=${encodeURIComponent(taskId)}` : "";
+  event.waitUntil(
+    self.clients.matchAll({ type: "window" }).then((windows) => {
+      const board = windows.find((client) => new URL(client.url).pathname.endsWith("/board.html"));
+      if (board) {
+        // Only the fragment changes, so the open board doesn't reload
+        const url = new URL(board.url);
+        url.hash = hash;
+        return board.navigate(url.href).then((client) => (client || board).focus());
+      }
+      return self.clients.openWindow(`board.html${hash}`);
+    })
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+  event.respondWith(respond(request));
+});
+
+/**
+ * Answer a request from the cache, or from the network when the file isn't
+ * cached. Pages are matched without their query string, which only carries
+ * filters and sign-in tokens.
+ * @param {Request} request
+ */
+function respond(request) {
+  return caches.match(request, { ignoreSearch: request.mode === "navigate" })
+    .then((cached) => cached || fetch(request));
+}
+
+/**
+ * Where a user's reminders are kept in REMINDER_CACHE
+ * @param {string} user the user's email
+ */
+function reminderUrl(user) {
+  return `reminders/${encodeURIComponent(user || "")}.json`;
+}
+
+/**
+ * The reminders pages handed over for one user, earliest first
+ * @param {Request|string} url
+ */
+function loadReminders(url) {
+  return caches.open(REMINDER_CACHE)
+    .then((cache) => cache.match(url))
+    .then((response) => (response ? response.json() : []))
+    .catch(() => []);
+}
+
+/**
+ * Keep a user's list of reminders
+ * @param {Request|string} url
+ * @param {Array} reminders
+ */
+function saveReminders(url, reminders) {
+  return caches.open(REMINDER_CACHE).then((cache) => cache.put(
+    url,
+    new Response(JSON.stringify(reminders), { headers: { "Content-Type": "application/json" } })
+  ));
+}
+
+/**
+ * Show the reminders that have come due, unless a page is open to show
+ * them itself, and forget them
+ */
+function showDueReminders() {
+  return self.clients.matchAll({ type: "window" }).then((windows) => {
+    if (windows.length > 0) return null;
+    return caches.open(REMINDER_CACHE)
+      .then((cache) => cache.keys())
+      .then((requests) => Promise.all(requests.map(showDueRemindersFrom)));
+  });
+}
+
+/**
+ * Show and forget the due reminders of one user's entry
+ * @param {Request} url
+ */
+function showDueRemindersFrom(url) {
+  return loadReminders(url).then((reminders) => {
+    const now = Date.now();
+    const due = reminders.filter((reminder) => reminder.at <= now);
+    const shown = due.filter((reminder) => reminder.at > now - REMINDER_GRACE).map((reminder) => (
+      self.registration.showNotification(reminder.title, {
+        body: reminder.body,
+        tag: reminder.id,
+        icon: "icons/icon-192.png",
+        data: { boardId: reminder.boardId, taskId: reminder.taskId },
+      })
+    ));
+    return Promise.all(shown).then(() => saveReminders(url, reminders.filter((reminder) => reminder.at > now)));
+  });
+}
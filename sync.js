@@ -0,0 +1,473 @@
+/*
+ * Multi-device sync for Task Rover
+ *
+ * Optional: nothing leaves the browser until the user enters a sync server
+ * URL and turns sync on. From then on every local task change reported by
+ * boards.js is put in a queue (kept in the store under `syncQueue`, so it
+ * survives reloads and offline periods) and pushed to the server, and
+ * changes made on other devices are pulled in.
+ *
+ * The server (see server/sync-server.js) keeps a `version` per task and
+ * bumps it on every accepted write. A push names the version it was based
+ * on; if the server has moved on since, the edit with the later `updatedAt`
+ * wins (last writer wins) and a conflict is reported to listeners so the
+ * user can be told which copy was kept. Requests carry the session from
+ * auth.js, so only signed-in users can sync; the session is only sent to a
+ * server on the page's own origin, never to one elsewhere.
+ *
+ * Board names and member lists are synced too, which is how boards are
+ * shared: a board whose members include the signed-in user shows up in
+ * their board list on the next pull.
+ *
+ * REST endpoints, relative to the configured URL:
+ *
+ *   GET    /boards                              → { boards: [{ id, name, members }] }
+ *   PUT    /boards/:board                       { name, members } → { board }
+ *   GET    /boards/:board/tasks?since=:cursor   → { tasks, cursor }
+ *   PUT    /boards/:board/tasks/:id             { task, baseVersion } → { task, conflict }
+ *   DELETE /boards/:board/tasks/:id             { baseVersion, updatedAt } → { task, conflict }
+ *   POST   /boards/:board/feed                  { columns, labels, kind } → { url }
+ *
+ * Deleted tasks come back as `{ id, deleted: true, version, updatedAt }`.
+ */
+
+(() => {
+  const storage = window.TaskRover.storage;
+  const auth = window.TaskRover.auth;
+  const boardStore = window.TaskRover.boards;
+  const SETTINGS_KEY = "syncSettings";
+  const QUEUE_KEY = "syncQueue";
+  const CURSOR_PREFIX = "syncCursor:";
+  const PULL_INTERVAL_MS = 30000;
+  const PUSH_DELAY_MS = 1000;
+
+  let queue = [];
+  let listBoards = () => [];
+  let running = null;
+  let pushTimer = null;
+  let pullTimer = null;
+  let status = { state: "off", pending: 0, lastSyncedAt: null, message: "" };
+  const statusListeners = [];
+  const remoteListeners = [];
+  const remoteBoardListeners = [];
+  const conflictListeners = [];
+
+  /**
+   * The saved sync settings: `{ endpoint, enabled }`
+   */
+  function settings() {
+    const stored = storage.get(SETTINGS_KEY) || {};
+    return {
+      endpoint: typeof stored.endpoint === "string" ? stored.endpoint : "",
+      enabled: Boolean(stored.enabled && stored.endpoint),
+    };
+  }
+
+  /**
+   * Update the status and tell listeners
+   * @param {Object} changes
+   */
+  function setStatus(changes) {
+    status = { ...status, ...changes, pending: queue.length };
+    statusListeners.forEach((fn) => fn(status));
+  }
+
+  /**
+   * Persist the queue after it changed
+   */
+  function saveQueue() {
+    storage.set(QUEUE_KEY, queue);
+    setStatus({});
+  }
+
+  /**
+   * Queue local changes, keeping one entry per task (the latest)
+   * @param {string} boardId
+   * @param {Array} changes from boards.onTasksChanged
+   */
+  function enqueue(boardId, changes) {
+    if (!settings().enabled) return;
+    changes.forEach((change) => {
+      const id = change.type === "put" ? change.task.id : change.id;
+      const entry = change.type === "put"
+        ? { boardId, id, op: "put", task: { ...change.task }, baseVersion: change.task.version || 0 }
+        : { boardId, id, op: "delete", baseVersion: change.version || 0, updatedAt: change.updatedAt };
+      const index = queue.findIndex((e) => e.boardId === boardId && e.id === id);
+      if (index === -1) {
+        queue.push(entry);
+      } else {
+        queue[index] = entry;
+      }
+    });
+    saveQueue();
+    schedulePush();
+  }
+
+  /**
+   * Queue boards whose name or members changed, one entry per board
+   * @param {Array} boards from boards.onBoardsChanged
+   */
+  function enqueueBoards(boards) {
+    if (!settings().enabled) return;
+    boards.forEach((board) => {
+      const entry = { boardId: board.id, id: null, op: "board", board: { name: board.name, members: board.members } };
+      const index = queue.findIndex((e) => e.boardId === board.id && e.op === "board");
+      if (index === -1) {
+        queue.push(entry);
+      } else {
+        queue[index] = entry;
+      }
+    });
+    saveQueue();
+    schedulePush();
+  }
+
+  /**
+   * Queue every board and every task on it, e.g. when sync is first turned on
+   */
+  function enqueueAll() {
+    enqueueBoards(listBoards());
+    listBoards().forEach((board) => {
+      const tasks = boardStore.loadTasks(board.id);
+      enqueue(board.id, tasks.map((task) => ({ type: "put", task })));
+    });
+  }
+
+  /**
+   * Push soon, so a burst of edits goes out together
+   */
+  function schedulePush() {
+    clearTimeout(pushTimer);
+    pushTimer = setTimeout(syncNow, PUSH_DELAY_MS);
+  }
+
+  /**
+   * Whether a URL is on the page's own origin
+   * @param {string} url
+   */
+  function sameOrigin(url) {
+    try {
+      return new URL(url, window.location.href).origin === window.location.origin;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Call the sync server and return its JSON reply. The session only goes
+   * along when the server is on the page's own origin.
+   * @param {string} method
+   * @param {string} path
+   * @param {Object} [body]
+   */
+  function request(method, path, body) {
+    const base = settings().endpoint.replace(/\/+$/, "");
+    const url = `${base}${path}`;
+    return fetch(url, {
+      method,
+      headers: { ...(sameOrigin(url) ? auth.authHeaders() : {}), ...(body ? { "Content-Type": "application/json" } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+    }).then((res) => res.json().catch(() => ({})).then((data) => {
+      if (!res.ok) {
+        const err = new Error(data.error || `The sync server replied ${res.status}.`);
+        err.status = res.status;
+        throw err;
+      }
+      return data;
+    }));
+  }
+
+  /**
+   * Store tasks that came from the server and tell remote-change listeners,
+   * which should reload the board's tasks. Tasks with queued local changes
+   * are left alone unless `force` is set; only their version is brought up
+   * to date when `versionOnly` is set. Nothing is saved when nothing differs.
+   * @param {string} boardId
+   * @param {Array} remoteTasks
+   * @param {Object} [options] { force, versionOnly }
+   * @returns {boolean} whether anything changed
+   */
+  function applyRemote(boardId, remoteTasks, options = {}) {
+    const tasks = boardStore.loadTasks(boardId);
+    let changed = false;
+    let versioned = false;
+    remoteTasks.forEach((remote) => {
+      const index = tasks.findIndex((task) => task.id === remote.id);
+      const local = tasks[index];
+      if (options.versionOnly) {
+        if (local && local.version !== remote.version) {
+          local.version = remote.version;
+          versioned = true;
+        }
+        return;
+      }
+      const queued = queue.some((e) => e.boardId === boardId && e.op !== "board" && e.id === remote.id);
+      if (queued && !options.force) return;
+      if (local && !options.force && (local.version || 0) >= remote.version) return;
+      if (remote.deleted) {
+        if (index !== -1) {
+          tasks.splice(index, 1);
+          changed = true;
+        }
+      } else if (index === -1) {
+        tasks.push({ ...remote });
+        changed = true;
+      } else {
+        tasks[index] = { ...remote };
+        changed = true;
+      }
+    });
+    if (!changed && !versioned) return false;
+    boardStore.saveTasks(boardId, tasks, { remote: true });
+    if (changed) {
+      remoteListeners.forEach((fn) => fn(boardId));
+    }
+    return changed;
+  }
+
+  /**
+   * Store board names and members that came from the server. Boards shared
+   * with the user for the first time are added to their list. Boards with a
+   * queued local change are left alone unless `force` is set.
+   * @param {Array} remoteBoards
+   * @param {Object} [options] { force }
+   */
+  function applyRemoteBoards(remoteBoards, options = {}) {
+    const boards = listBoards();
+    let changed = false;
+    remoteBoards.forEach((remote) => {
+      const queued = queue.some((e) => e.boardId === remote.id && e.op === "board");
+      if (queued && !options.force) return;
+      const local = boards.find((board) => board.id === remote.id);
+      if (!local) {
+        boards.push({ id: remote.id, name: remote.name, archived: false, createdAt: Date.now(), members: remote.members });
+        changed = true;
+      } else if (local.name !== remote.name || JSON.stringify(local.members) !== JSON.stringify(remote.members)) {
+        local.name = remote.name;
+        local.members = remote.members;
+        changed = true;
+      }
+    });
+    if (changed) {
+      boardStore.saveBoards(boards, { remote: true });
+      remoteBoardListeners.forEach((fn) => fn());
+    }
+  }
+
+  /**
+   * Send queued changes in order. Stops at the first failure and leaves the
+   * rest queued for the next attempt.
+   */
+  function push() {
+    const entry = queue[0];
+    if (!entry) return Promise.resolve();
+    if (entry.op === "board") {
+      return request("PUT", `/boards/${encodeURIComponent(entry.boardId)}`, entry.board).then((reply) => {
+        if (queue[0] === entry) queue.shift();
+        applyRemoteBoards([reply.board], { force: !queue.some((e) => e.boardId === entry.boardId && e.op === "board") });
+        saveQueue();
+        return push();
+      }, (err) => dropRefused(entry, err));
+    }
+    const path = `/boards/${encodeURIComponent(entry.boardId)}/tasks/${encodeURIComponent(entry.id)}`;
+    const call = entry.op === "put"
+      ? request("PUT", path, { task: entry.task, baseVersion: entry.baseVersion })
+      : request("DELETE", path, { baseVersion: entry.baseVersion, updatedAt: entry.updatedAt });
+    return call.then((reply) => {
+      const current = queue.findIndex((e) => e.boardId === entry.boardId && e.op !== "board" && e.id === entry.id);
+      const editedMeanwhile = current !== -1 && queue[current] !== entry;
+      if (editedMeanwhile) {
+        // A newer local edit is waiting; it now builds on the version just written
+        queue[current].baseVersion = reply.task.version;
+        applyRemote(entry.boardId, [reply.task], { versionOnly: true });
+      } else {
+        if (current !== -1) queue.splice(current, 1);
+        applyRemote(entry.boardId, [reply.task], { force: true });
+      }
+      saveQueue();
+      if (reply.conflict) {
+        conflictListeners.forEach((fn) => fn({ boardId: entry.boardId, task: reply.task, winner: reply.conflict.winner }));
+      }
+      return push();
+    }, (err) => dropRefused(entry, err));
+  }
+
+  /**
+   * Drop a queued change the server refused for good (invalid, too large or
+   * not allowed), since it would otherwise block the queue, and carry on.
+   * Other failures are passed on and the change stays queued.
+   * @param {Object} entry
+   * @param {Error} err
+   */
+  function dropRefused(entry, err) {
+    if (![400, 403, 413, 422].includes(err.status)) throw err;
+    queue = queue.filter((e) => e !== entry);
+    saveQueue();
+    const what = entry.op === "board" ? "a board" : "a task";
+    setStatus({ message: `A change to ${what} was refused by the sync server: ${err.message}` });
+    return push();
+  }
+
+  /**
+   * Fetch the boards shared with the user, then changes made elsewhere since
+   * the last pull, board by board. Boards the user can no longer read are
+   * skipped.
+   */
+  function pull() {
+    return request("GET", "/boards").then((reply) => {
+      applyRemoteBoards(Array.isArray(reply.boards) ? reply.boards : []);
+      return listBoards().reduce((chain, board) => chain.then(() => {
+        const cursor = storage.get(`${CURSOR_PREFIX}${board.id}`) || 0;
+        return request("GET", `/boards/${encodeURIComponent(board.id)}/tasks?since=${cursor}`).then((tasksReply) => {
+          applyRemote(board.id, Array.isArray(tasksReply.tasks) ? tasksReply.tasks : []);
+          storage.set(`${CURSOR_PREFIX}${board.id}`, tasksReply.cursor || cursor);
+        }, (err) => {
+          if (err.status !== 403) throw err;
+        });
+      }), Promise.resolve());
+    });
+  }
+
+  /**
+   * Push queued changes, then pull. Concurrent calls share one run.
+   */
+  function syncNow() {
+    if (!settings().enabled) return Promise.resolve();
+    if (running) return running;
+    if (navigator.onLine === false) {
+      setStatus({ state: "offline", message: "Offline; changes will be sent when you reconnect." });
+      return Promise.resolve();
+    }
+    setStatus({ state: "syncing", message: "" });
+    running = push()
+      .then(pull)
+      .then(() => setStatus({ state: "idle", lastSyncedAt: Date.now(), message: "" }))
+      .catch((err) => {
+        const offline = !err.status;
+        setStatus({
+          state: offline ? "offline" : "error",
+          message: offline ? "Can't reach the sync server; changes are kept until it is back." : err.message,
+        });
+      })
+      .then(() => {
+        running = null;
+      });
+    return running;
+  }
+
+  /**
+   * Ask the server for a link calendar apps can subscribe to, showing the
+   * board's tasks with a due date. The feed names columns and labels as
+   * given here.
+   * @param {string} boardId
+   * @param {Object} layout { columns, labels, kind } kind is "event" or "todo"
+   * @returns {Promise<string>} the feed URL
+   */
+  function calendarFeed(boardId, { columns, labels, kind }) {
+    if (!settings().enabled) return Promise.reject(new Error("Turn on sync to subscribe to this board from a calendar app."));
+    return request("POST", `/boards/${encodeURIComponent(boardId)}/feed`, {
+      columns,
+      labels: labels.map((label) => ({ id: label.id, name: label.name })),
+      kind,
+    }).then((reply) => reply.url);
+  }
+
+  /**
+   * Save new settings. Turning sync on queues every task so the server gets
+   * a full copy; turning it off drops anything still queued.
+   * @param {Object} next { endpoint, enabled }
+   */
+  function configure(next) {
+    const wasEnabled = settings().enabled;
+    storage.set(SETTINGS_KEY, { endpoint: (next.endpoint || "").trim(), enabled: Boolean(next.enabled) });
+    const { enabled } = settings();
+    if (enabled && !wasEnabled) {
+      enqueueAll();
+      syncNow();
+    } else if (!enabled) {
+      queue = [];
+      saveQueue();
+      setStatus({ state: "off", message: "" });
+    }
+  }
+
+  /**
+   * Start syncing in the background
+   * @param {Function} getBoards returns the board list, which remote
+   *   boards are added to in place
+   */
+  function start(getBoards) {
+    listBoards = getBoards;
+    queue = Array.isArray(storage.get(QUEUE_KEY)) ? storage.get(QUEUE_KEY) : [];
+    boardStore.onTasksChanged((boardId, changes, origin) => {
+      if (!origin.remote) enqueue(boardId, changes);
+    });
+    boardStore.onBoardsChanged(enqueueBoards);
+    // Another tab queued, sent or switched off changes: work from its queue
+    storage.onExternalChange((key) => {
+      if (key === QUEUE_KEY) {
+        queue = Array.isArray(storage.get(QUEUE_KEY)) ? storage.get(QUEUE_KEY) : [];
+        setStatus({});
+      } else if (key === SETTINGS_KEY) {
+        setStatus({ state: settings().enabled ? "idle" : "off" });
+      }
+    });
+    window.addEventListener("online", syncNow);
+    window.addEventListener("offline", () => setStatus({ state: "offline", message: "" }));
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "visible") syncNow();
+    });
+    clearInterval(pullTimer);
+    pullTimer = setInterval(syncNow, PULL_INTERVAL_MS);
+    setStatus({ state: settings().enabled ? "idle" : "off" });
+    syncNow();
+  }
+
+  /**
+   * Register a status listener; it is called straight away with the
+   * current status, then on every change
+   * @param {Function} fn called with `{ state, pending, lastSyncedAt, message }`
+   */
+  function onStatus(fn) {
+    statusListeners.push(fn);
+    fn(status);
+  }
+
+  /**
+   * Register a listener for tasks changed by other devices
+   * @param {Function} fn called with the board id
+   */
+  function onRemoteChange(fn) {
+    remoteListeners.push(fn);
+  }
+
+  /**
+   * Register a listener for board names and members changed elsewhere,
+   * including boards newly shared with the user
+   * @param {Function} fn
+   */
+  function onRemoteBoards(fn) {
+    remoteBoardListeners.push(fn);
+  }
+
+  /**
+   * Register a listener for conflicting edits
+   * @param {Function} fn called with `{ boardId, task, winner }`, where
+   *   winner is "client" (this device's edit was kept) or "server"
+   */
+  function onConflict(fn) {
+    conflictListeners.push(fn);
+  }
+
+  window.TaskRover.sync = {
+    settings,
+    configure,
+    start,
+    syncNow,
+    calendarFeed,
+    onStatus,
+    onRemoteChange,
+    onRemoteBoards,
+    onConflict,
+  };
+})();
@@ -0,0 +1,410 @@
+/*
+ * Import and export for Task Rover
+ *
+ * A board can be exported as JSON, which is lossless (ids, createdAt,
+ * positions, columns and labels included) and is the backup format, or as
+ * CSV with one task per row for spreadsheets. Both formats can be imported
+ * again. Importing is done in two steps so the user can see what will
+ * happen first: `prepareImport` parses and validates a file against the
+ * board's columns and labels, and `planImport` works out which tasks would
+ * be added, changed or removed when merging by id or replacing the board.
+ * Trello and GitHub Issues exports are recognised too and read through
+ * importers.js, and calendar (.ics) files through ical.js. Nothing is
+ * saved here; board.js applies the plan.
+ */
+
+(() => {
+  const dates = window.TaskRover.dates;
+  const recurrence = window.TaskRover.recurrence;
+  const reminders = window.TaskRover.reminders;
+  const labelStore = window.TaskRover.labels;
+  const importers = window.TaskRover.importers;
+  const ical = window.TaskRover.ical;
+  const FORMAT = "taskrover-board";
+  const FORMAT_VERSION = 1;
+  const PRIORITIES = ["", "high", "medium", "low"];
+  const CSV_COLUMNS = ["id", "title", "description", "status", "owner", "priority", "due", "dueTime", "labels", "checklist", "createdAt"];
+  // Fields compared to decide whether an imported task changes an existing one
+  const TASK_FIELDS = ["title", "description", "status", "owner", "priority", "due", "dueTime", "reminders", "labels", "checklist", "recurrence"];
+  // Spreadsheets run cells starting with these as formulas, so CSV exports
+  // prefix them with `'` (and any `'` already there, to keep round trips exact)
+  const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+  /**
+   * Lossless export of a board
+   * @param {Object} board
+   * @param {Object} data { tasks, columns, labels }
+   */
+  function toJson(board, { tasks, columns, labels }) {
+    const payload = {
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      board: { id: board.id, name: board.name },
+      columns,
+      labels,
+      tasks,
+    };
+    return JSON.stringify(payload, null, 2);
+  }
+
+  /**
+   * Quote a CSV field when it needs it, and keep it from running as a formula
+   * @param {*} value
+   */
+  function csvField(value) {
+    const plain = value === undefined || value === null ? "" : String(value);
+    const text = FORMULA_START.test(plain) ? `'${plain}` : plain;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Spreadsheet export: one row per task. Status and labels are written by
+   * name, checklist items one per line as `[x] text`.
+   * @param {Object} data { tasks, columns, labels }
+   */
+  function toCsv({ tasks, columns, labels }) {
+    const rows = [CSV_COLUMNS];
+    tasks.forEach((task) => {
+      const column = columns.find((c) => c.key === task.status);
+      rows.push([
+        task.id,
+        task.title,
+        task.description || "",
+        column ? column.label : task.status,
+        task.owner || "",
+        task.priority || "",
+        task.due || "",
+        task.dueTime || "",
+        labels.filter((label) => (task.labels || []).includes(label.id)).map((label) => label.name).join(", "),
+        (task.checklist || []).map((item) => `[${item.done ? "x" : " "}] ${item.text}`).join("\n"),
+        task.createdAt && Number.isFinite(new Date(task.createdAt).getTime()) ? new Date(task.createdAt).toISOString() : "",
+      ]);
+    });
+    return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+  }
+
+  /**
+   * Split CSV text into rows of fields (RFC 4180: quoted fields may hold
+   * commas, doubled quotes and line breaks)
+   * @param {string} text
+   */
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    const source = text.replace(/^\uFEFF/, "");
+    for (let i = 0; i < source.length; i += 1) {
+      const ch = source[i];
+      if (quoted) {
+        if (ch === '"' && source[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ",") {
+        row.push(field);
+        field = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && source[i + 1] === "\n") i += 1;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += ch;
+      }
+    }
+    if (quoted) throw new Error("The CSV file ends inside a quoted field.");
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter((r) => r.some((value) => value.trim()));
+  }
+
+  /**
+   * Turn CSV rows into raw task objects keyed by header name
+   * @param {string} text
+   * @param {Array} columns the board's columns, to map status names to keys
+   */
+  function tasksFromCsv(text, columns) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) throw new Error("The CSV file is empty.");
+    // Header names are matched without regard to case ("Title", "createdat")
+    const names = header.map((name) => {
+      const trimmed = name.trim();
+      return CSV_COLUMNS.find((column) => column.toLowerCase() === trimmed.toLowerCase()) || trimmed;
+    });
+    if (!names.includes("title")) throw new Error('The CSV file needs a "title" column.');
+    return rows.map((values) => {
+      const raw = { status: "", priority: "", labels: "", checklist: "", createdAt: "" };
+      names.forEach((name, i) => {
+        const value = (values[i] || "").trim();
+        raw[name] = value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+      });
+      const status = raw.status.toLowerCase();
+      const column = columns.find((c) => c.key.toLowerCase() === status || c.label.toLowerCase() === status);
+      return {
+        ...raw,
+        status: column ? column.key : raw.status,
+        priority: raw.priority.toLowerCase(),
+        labelNames: raw.labels ? raw.labels.split(",").map((name) => name.trim()).filter(Boolean) : [],
+        labels: undefined,
+        checklist: raw.checklist
+          ? raw.checklist.split(/\r?\n/).filter((line) => line.trim()).map((line) => {
+            const match = /^\[([ xX]?)\]\s*(.*)$/.exec(line.trim());
+            return match ? { text: match[2], done: match[1].toLowerCase() === "x" } : { text: line.trim(), done: false };
+          })
+          : [],
+        createdAt: raw.createdAt ? Date.parse(raw.createdAt) : undefined,
+      };
+    });
+  }
+
+  /**
+   * Validate one raw task. Returns `{ task }` or `{ error }`.
+   * @param {Object} raw
+   * @param {number} index position in the file, for messages
+   */
+  function cleanTask(raw, index) {
+    const where = `Task ${index + 1}`;
+    if (!raw || typeof raw !== "object") return { error: `${where} is not an object.` };
+    const title = typeof raw.title === "string" ? raw.title.trim() : "";
+    if (!title) return { error: `${where} has no title.` };
+    const due = raw.due ? String(raw.due) : "";
+    if (due && !dates.parseDate(due)) return { error: `${where} ("${title}") has an invalid due date "${due}".` };
+    const priority = raw.priority ? String(raw.priority) : "";
+    if (!PRIORITIES.includes(priority)) return { error: `${where} ("${title}") has an unknown priority "${priority}".` };
+    const task = {
+      id: raw.id !== undefined && raw.id !== null && String(raw.id).trim() ? String(raw.id).trim() : null,
+      title,
+      description: typeof raw.description === "string" ? raw.description : "",
+      due: due || undefined,
+      priority: priority || undefined,
+      status: typeof raw.status === "string" ? raw.status : "",
+      owner: typeof raw.owner === "string" ? raw.owner.trim() : "",
+      checklist: (Array.isArray(raw.checklist) ? raw.checklist : [])
+        .filter((item) => item && typeof item.text === "string" && item.text.trim())
+        .map((item, i) => ({
+          id: typeof item.id === "string" ? item.id : `${Date.now().toString(36)}${index}x${i}`,
+          text: item.text.trim(),
+          done: Boolean(item.done),
+        })),
+      labels: Array.isArray(raw.labels) ? raw.labels.filter((id) => typeof id === "string") : [],
+      position: Number.isFinite(raw.position) ? raw.position : undefined,
+      createdAt: Number.isFinite(raw.createdAt) ? raw.createdAt : Date.now(),
+    };
+    const rule = recurrence.normalize(raw.recurrence, task.due);
+    if (rule) task.recurrence = rule;
+    // A due time or reminders mean nothing without a due date
+    const dueTime = task.due ? reminders.normalizeTime(raw.dueTime) : "";
+    if (dueTime) task.dueTime = dueTime;
+    const reminderKeys = task.due ? reminders.normalize(raw.reminders) : [];
+    if (reminderKeys.length > 0) task.reminders = reminderKeys;
+    return { task, labelNames: Array.isArray(raw.labelNames) ? raw.labelNames : [] };
+  }
+
+  /**
+   * Parse and validate an exported file against the current board.
+   * Returns `{ format, tasks, columns, labels, errors }`: `columns` and
+   * `labels` are copies of the board's lists with anything the file needs
+   * added, and `errors` lists the tasks that were skipped. Trello, GitHub
+   * and calendar files also return `source` ({ name, groups, unrecognised,
+   * skipped }) and the `mapping` of their lists or states onto columns; pass
+   * an adjusted mapping back in to prepare the file again.
+   * @param {string} text file contents
+   * @param {string} fileName used to tell CSV and calendar files from JSON
+   * @param {Object} board { columns, labels } of the current board
+   * @param {Object} [mapping] group id → column key, for Trello, GitHub and
+   *   calendar files
+   */
+  function prepareImport(text, fileName, board, mapping) {
+    const columns = board.columns.map((c) => ({ ...c }));
+    const labels = board.labels.map((l) => ({ ...l }));
+    const trimmed = text.trim();
+    let format;
+    let data;
+    let rawTasks;
+    let source = null;
+    if (/\.ics$/i.test(fileName) || ical.detect(trimmed)) {
+      format = "ical";
+    } else if (/\.csv$/i.test(fileName) || (!trimmed.startsWith("{") && !trimmed.startsWith("["))) {
+      format = "csv";
+      rawTasks = tasksFromCsv(text, columns);
+    } else {
+      try {
+        data = JSON.parse(trimmed);
+      } catch (_) {
+        throw new Error("The file is not valid JSON.");
+      }
+      format = importers.detect(data) || "json";
+    }
+    if (format === "trello" || format === "github" || format === "ical") {
+      const parsed = format === "ical" ? ical.read(text) : importers.read(data);
+      // Suggestions fill in any group the caller has not mapped yet
+      const suggested = importers.suggestMapping(parsed, columns);
+      mapping = { ...suggested, ...mapping };
+      source = {
+        name: parsed.name,
+        groups: parsed.groups,
+        unrecognised: parsed.groups.filter((group) => !(group.id in suggested)).map((group) => group.id),
+        skipped: parsed.skipped,
+      };
+      rawTasks = importers.toTasks(parsed, mapping, columns);
+    } else if (format === "json") {
+      rawTasks = Array.isArray(data) ? data : data && data.tasks;
+      if (!Array.isArray(rawTasks)) throw new Error("The file does not contain a list of tasks.");
+      // Bring along columns and labels the tasks refer to
+      (Array.isArray(data.columns) ? data.columns : []).forEach((col) => {
+        if (col && typeof col.key === "string" && typeof col.label === "string"
+          && !columns.some((c) => c.key === col.key)) {
+          columns.push({ key: col.key, label: col.label, done: false });
+        }
+      });
+      (Array.isArray(data.labels) ? data.labels : []).forEach((label) => {
+        if (!label || typeof label.id !== "string" || typeof label.name !== "string") return;
+        if (labels.some((l) => l.id === label.id)) return;
+        const sameName = labelStore.findByName(labels, label.name);
+        if (sameName) {
+          rawTasks.forEach((raw) => {
+            if (raw && Array.isArray(raw.labels)) {
+              raw.labels = raw.labels.map((id) => (id === label.id ? sameName.id : id));
+            }
+          });
+        } else {
+          labels.push({ id: label.id, name: label.name, color: label.color || labelStore.PALETTE[0] });
+        }
+      });
+    }
+    const errors = [];
+    const tasks = [];
+    const seen = new Set();
+    rawTasks.forEach((raw, i) => {
+      const { task, labelNames, error } = cleanTask(raw, i);
+      if (error) {
+        errors.push(error);
+        return;
+      }
+      if (task.id && seen.has(task.id)) {
+        errors.push(`Task ${i + 1} ("${task.title}") repeats id ${task.id}.`);
+        return;
+      }
+      if (task.id) seen.add(task.id);
+      labelNames.forEach((name) => {
+        const label = labelStore.createLabel(labels, name);
+        if (!task.labels.includes(label.id)) task.labels.push(label.id);
+      });
+      task.labels = task.labels.filter((id) => labels.some((l) => l.id === id));
+      if (!columns.some((c) => c.key === task.status)) {
+        task.status = columns[0].key;
+      }
+      tasks.push(task);
+    });
+    return { format, tasks, columns, labels, errors, source, mapping };
+  }
+
+  /**
+   * A task field reduced to what matters when comparing: empty values are
+   * alike, label order and checklist item ids are ignored
+   * @param {string} field
+   * @param {*} value
+   */
+  function comparable(field, value) {
+    if (field === "checklist") return (value || []).map((item) => [item.text, Boolean(item.done)]);
+    if (field === "labels") return (value || []).slice().sort();
+    return value === undefined || value === "" ? null : value;
+  }
+
+  /**
+   * Fields of `after` that differ from `before`
+   * @param {Object} before
+   * @param {Object} after
+   */
+  function changedFields(before, after) {
+    return TASK_FIELDS.filter((field) => {
+      return JSON.stringify(comparable(field, before[field])) !== JSON.stringify(comparable(field, after[field]));
+    });
+  }
+
+  /**
+   * Work out what importing `incoming` would do. "merge" updates tasks with
+   * a matching id and adds the rest; "replace" swaps the board's tasks for
+   * the imported ones. Returns `{ added, changed, unchanged, removed, tasks }`
+   * where `changed` holds `{ before, after, fields }` and `tasks` is the
+   * board's task list afterwards, with positions renumbered per column.
+   * @param {Array} existing
+   * @param {Array} incoming tasks from prepareImport
+   * @param {string} mode "merge" or "replace"
+   * @param {Function} createId
+   */
+  function planImport(existing, incoming, mode, createId) {
+    const plan = { added: [], changed: [], unchanged: [], removed: [], tasks: [] };
+    const byId = new Map(existing.map((task) => [task.id, task]));
+    const result = mode === "replace" ? [] : existing.map((task) => ({ ...task }));
+    incoming.forEach((task) => {
+      const before = task.id ? byId.get(task.id) : null;
+      const after = { ...task, id: task.id || createId() };
+      if (!before) {
+        plan.added.push(after);
+        if (mode !== "replace") delete after.position;
+        result.push(after);
+        return;
+      }
+      const fields = changedFields(before, after);
+      if (fields.length > 0) {
+        plan.changed.push({ before, after, fields });
+      } else {
+        plan.unchanged.push(before);
+      }
+      const merged = { ...before, ...after, createdAt: before.createdAt };
+      if (!fields.includes("checklist")) merged.checklist = before.checklist || [];
+      if (after.recurrence === undefined) delete merged.recurrence;
+      if (after.dueTime === undefined) delete merged.dueTime;
+      if (after.reminders === undefined) delete merged.reminders;
+      if (mode !== "replace") {
+        merged.position = before.status === after.status ? before.position : undefined;
+        result[result.findIndex((t) => t.id === before.id)] = merged;
+      } else {
+        result.push(merged);
+      }
+    });
+    if (mode === "replace") {
+      const kept = new Set(incoming.map((task) => task.id));
+      plan.removed = existing.filter((task) => !kept.has(task.id));
+    }
+    // Renumber each column: known positions first, then new arrivals in file order
+    const byStatus = {};
+    result.forEach((task) => {
+      (byStatus[task.status] = byStatus[task.status] || []).push(task);
+    });
+    Object.values(byStatus).forEach((list) => {
+      list
+        .map((task, i) => ({ task, i }))
+        .sort((a, b) => {
+          const pa = Number.isFinite(a.task.position) ? a.task.position : Infinity;
+          const pb = Number.isFinite(b.task.position) ? b.task.position : Infinity;
+          return pa === pb ? a.i - b.i : pa - pb;
+        })
+        .forEach(({ task }, i) => {
+          task.position = i;
+        });
+    });
+    plan.tasks = result;
+    return plan;
+  }
+
+  window.TaskRover.transfer = {
+    toJson,
+    toCsv,
+    parseCsv,
+    prepareImport,
+    planImport,
+  };
+})();
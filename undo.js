@@ -0,0 +1,179 @@
+/*
+ * Undo and redo for Task Rover
+ *
+ * Each undoable action is recorded as a command `{ label, boardId,
+ * changes }`, where `changes` lists `{ before, after }` copies of every task
+ * the action touched: `before` is null for tasks it added and `after` is
+ * null for tasks it removed. Undoing puts the `before` copies back and
+ * redoing the `after` copies, so one command covers a single edit and a
+ * bulk action alike. board.js records commands and applies them.
+ *
+ * The stacks are kept in sessionStorage under `taskRoverUndo:<email>`, so
+ * they survive re-renders and reloads of the tab but not a new session.
+ * Recording a command clears the redo stack; only the latest MAX_COMMANDS
+ * are kept. Signing out clears both, since they hold copies of tasks.
+ */
+
+(() => {
+  window.TaskRover = window.TaskRover || {};
+  const MAX_COMMANDS = 50;
+  let key = null;
+  let undoStack = [];
+  let redoStack = [];
+  const listeners = [];
+
+  /**
+   * Load the signed-in user's stacks for this tab
+   * @param {string} email
+   */
+  function open(email) {
+    key = `taskRoverUndo:${email}`;
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(key));
+      undoStack = stored && Array.isArray(stored.undo) ? stored.undo : [];
+      redoStack = stored && Array.isArray(stored.redo) ? stored.redo : [];
+    } catch (_) {
+      undoStack = [];
+      redoStack = [];
+    }
+    notify();
+  }
+
+  /**
+   * Write the stacks to sessionStorage, dropping the oldest commands if
+   * they don't fit
+   */
+  function save() {
+    if (!key) return;
+    while (undoStack.length + redoStack.length > 0) {
+      try {
+        sessionStorage.setItem(key, JSON.stringify({ undo: undoStack, redo: redoStack }));
+        return;
+      } catch (_) {
+        if (undoStack.length > 0) {
+          undoStack.shift();
+        } else {
+          redoStack.shift();
+        }
+      }
+    }
+    sessionStorage.removeItem(key);
+  }
+
+  /**
+   * Tell listeners the stacks changed
+   */
+  function notify() {
+    listeners.forEach((fn) => fn());
+  }
+
+  const copy = (task) => JSON.parse(JSON.stringify(task));
+
+  /**
+   * Record an action from the board's tasks before and after it
+   * @param {string} label what the action did, e.g. `Delete "Buy milk"`
+   * @param {string} boardId
+   * @param {Array} before tasks before the action
+   * @param {Array} after tasks after the action
+   * @returns {Object|null} the command, or null when nothing changed
+   */
+  function record(label, boardId, before, after) {
+    const earlier = new Map(before.map((task) => [task.id, task]));
+    const changes = [];
+    after.forEach((task) => {
+      const old = earlier.get(task.id);
+      earlier.delete(task.id);
+      if (!old || JSON.stringify(old) !== JSON.stringify(task)) {
+        changes.push({ before: old ? copy(old) : null, after: copy(task) });
+      }
+    });
+    earlier.forEach((old) => changes.push({ before: copy(old), after: null }));
+    if (changes.length === 0) return null;
+    const command = { label, boardId, changes };
+    undoStack.push(command);
+    if (undoStack.length > MAX_COMMANDS) undoStack.shift();
+    redoStack = [];
+    save();
+    notify();
+    return command;
+  }
+
+  /**
+   * The command the next undo would reverse, or null
+   */
+  function peekUndo() {
+    return undoStack[undoStack.length - 1] || null;
+  }
+
+  /**
+   * The command the next redo would repeat, or null
+   */
+  function peekRedo() {
+    return redoStack[redoStack.length - 1] || null;
+  }
+
+  /**
+   * Move the latest command to the redo stack and return it for undoing
+   */
+  function takeUndo() {
+    const command = undoStack.pop();
+    if (!command) return null;
+    redoStack.push(command);
+    save();
+    notify();
+    return command;
+  }
+
+  /**
+   * Move the latest undone command back and return it for redoing
+   */
+  function takeRedo() {
+    const command = redoStack.pop();
+    if (!command) return null;
+    undoStack.push(command);
+    save();
+    notify();
+    return command;
+  }
+
+  /**
+   * Forget a command that can no longer be applied
+   * @param {Object} command
+   */
+  function discard(command) {
+    undoStack = undoStack.filter((c) => c !== command);
+    redoStack = redoStack.filter((c) => c !== command);
+    save();
+    notify();
+  }
+
+  /**
+   * Empty both stacks and remove them from sessionStorage
+   */
+  function clear() {
+    undoStack = [];
+    redoStack = [];
+    if (key) sessionStorage.removeItem(key);
+    notify();
+  }
+
+  /**
+   * Register a listener for changes to either stack
+   * @param {Function} fn
+   */
+  function onChange(fn) {
+    listeners.push(fn);
+  }
+
+  window.TaskRover.undo = {
+    open,
+    record,
+    peekUndo,
+    peekRedo,
+    takeUndo,
+    takeRedo,
+    discard,
+    clear,
+    onChange,
+  };
+})();